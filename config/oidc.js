@@ -0,0 +1,30 @@
+// server/config/oidc.js
+// OpenID Connect single sign-on settings. SSO is disabled unless
+// OIDC_ISSUER and OIDC_CLIENT_ID are set.
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid JSON in OIDC configuration: ${value}`);
+  }
+};
+
+module.exports = {
+  enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  // Optional: public clients rely on PKCE alone
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPE || 'openid email profile',
+  // Where to send the browser after login, with tokens in the URL fragment.
+  // When unset the callback responds with JSON instead.
+  postLoginRedirect: process.env.OIDC_POST_LOGIN_REDIRECT,
+  // Claim holding the user's groups/roles at the IdP
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+  // Maps IdP role claim values to our roles, e.g. {"staff":"faculty"}
+  roleMapping: parseJson(process.env.OIDC_ROLE_MAPPING, {}),
+  // Create accounts for unknown users whose role claim maps to one of ours
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false'
+};
@@ -0,0 +1,19 @@
+// server/config/passwordPolicy.js
+// Password rules, configurable through environment variables.
+const flag = (value, fallback) => (value === undefined ? fallback : value === 'true');
+const number = (value, fallback) => (value === undefined ? fallback : parseInt(value, 10));
+
+module.exports = {
+  minLength: number(process.env.PASSWORD_MIN_LENGTH, 8),
+  maxLength: number(process.env.PASSWORD_MAX_LENGTH, 128),
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: flag(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Reject passwords found in config/common-passwords.txt
+  blockCommon: flag(process.env.PASSWORD_BLOCK_COMMON, true),
+  // How many previous passwords (including the current one) can't be reused
+  historySize: number(process.env.PASSWORD_HISTORY, 5),
+  // Force a change after this many days; 0 disables expiry
+  maxAgeDays: number(process.env.PASSWORD_MAX_AGE_DAYS, 0)
+};
@@ -1,7 +1,43 @@
 // server/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const ApiKey = require('../models/ApiKey');
+
+// Methods allowed while an admin is viewing the app as another user
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Service integrations send an API key instead of a bearer JWT. They act
+// as the 'service' role, limited to the scopes granted to the key.
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findByKey(req.header('X-API-Key'));
+    if (!apiKey) {
+      return res.status(401).json({ msg: 'API key is not valid' });
+    }
+    await apiKey.touch(req.ip);
+
+    req.user = {
+      id: apiKey.id,
+      role: 'service',
+      scopes: apiKey.scopes
+    };
+    req.apiKey = apiKey;
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  next();
+};
+
+const auth = async (req, res, next) => {
+  if (req.header('X-API-Key')) {
+    return apiKeyAuth(req, res, next);
+  }
 
-const auth = (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -14,12 +50,88 @@ const auth = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Check the session behind the token hasn't been logged out or revoked.
+    // Impersonation tokens ride on the admin's own session.
+    const sessionOwner = decoded.impersonator ? decoded.impersonator.id : decoded.user.id;
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive || !session.user.equals(sessionOwner)) {
+      return res.status(401).json({ msg: 'Session has expired or been revoked' });
+    }
+    await session.touch();
+
     // Add user from payload
     req.user = decoded.user;
-    next();
+    req.token = decoded;
+    req.authSession = session;
+
+    if (decoded.impersonator) {
+      req.impersonator = decoded.impersonator;
+      ImpersonationLog.recordRequest(req, res);
+
+      if (!SAFE_METHODS.includes(req.method)) {
+        return res.status(403).json({ msg: 'This action is not allowed while impersonating' });
+      }
+    }
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    return res.status(401).json({ msg: 'Token is not valid' });
   }
+
+  next();
+};
+
+// Turn away API keys on routes about the signed-in account itself (logout,
+// MFA, sessions), which need a user's session and User document
+const userOnly = (req, res, next) => {
+  if (req.user.role === 'service') {
+    return res.status(403).json({ msg: 'This action needs a user login, not an API key' });
+  }
+  next();
+};
+
+// Block accounts that haven't confirmed their email address. Only enforced
+// when REQUIRE_EMAIL_VERIFICATION=true so existing accounts keep working.
+const requireVerified = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('isVerified');
+    if (!user || !user.isVerified) {
+      return res.status(403).json({ msg: 'Please verify your email address first' });
+    }
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  next();
+};
+
+// Block users whose role an admin has made two-factor authentication
+// mandatory for until they have enrolled
+const requireMfa = async (req, res, next) => {
+  try {
+    const requiredRoles = await Setting.getValue('mfa.requiredRoles', []);
+
+    if (requiredRoles.includes(req.user.role)) {
+      const user = await User.findById(req.user.id).select('mfa.enabled');
+      if (!user || !user.mfa.enabled) {
+        return res.status(403).json({ msg: 'Please enable two-factor authentication first' });
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  next();
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.requireVerified = requireVerified;
+module.exports.requireMfa = requireMfa;
+// Use on privileged routes in place of auth
+module.exports.privileged = [auth, requireVerified, requireMfa];
+// Use on routes that act on the user's own account in place of auth
+module.exports.user = [auth, userOnly];
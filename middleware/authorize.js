@@ -0,0 +1,55 @@
+// server/middleware/authorize.js
+const { can, getPolicy, resolveProfile } = require('../utils/permissions');
+
+// Build a loader that fetches a document by route param, optionally
+// populating paths that policies need (e.g. an offering's course)
+const fromParam = (Model, param, notFound, populate) => ({
+  load: (req) => {
+    const query = Model.findById(req.params[param]);
+    return populate ? query.populate(populate) : query;
+  },
+  notFound
+});
+
+// Route middleware declaring the action(s) a route performs.
+// `loaders` maps a context name (course, student, faculty) to a loader
+// built with fromParam; each is resolved before the policy is checked
+// and the loaded documents are exposed on req.resources for the handler.
+const authorize = (actions, loaders = {}) => {
+  const policy = getPolicy([].concat(actions)[0]);
+
+  return async (req, res, next) => {
+    let notFound = 'Not found';
+
+    try {
+      const context = {};
+
+      for (const [name, loader] of Object.entries(loaders)) {
+        notFound = loader.notFound;
+        const doc = await loader.load(req);
+        if (!doc) {
+          return res.status(404).json({ msg: notFound });
+        }
+        context[name] = doc;
+      }
+
+      context.profile = await resolveProfile(req.user);
+
+      if (!can(req.user, actions, context)) {
+        return res.status(403).json({ msg: policy.msg });
+      }
+
+      req.resources = context;
+      next();
+    } catch (err) {
+      console.error(err.message);
+      if (err.kind === 'ObjectId') {
+        return res.status(404).json({ msg: notFound });
+      }
+      res.status(500).send('Server Error');
+    }
+  };
+};
+
+module.exports = authorize;
+module.exports.fromParam = fromParam;
@@ -0,0 +1,33 @@
+// server/middleware/deprecated.js
+// Support for the /courses routes kept from before course offerings. They
+// will be removed in the next release.
+const Offering = require('../models/Offering');
+const Term = require('../models/Term');
+
+// Route middleware flagging a deprecated route and pointing to its replacement
+const deprecated = successor => (req, res, next) => {
+  res.set({ Deprecation: 'true', Link: `<${successor}>; rel="successor-version"` });
+  next();
+};
+
+// Build a loader for a catalog course's offering in the current term: the
+// one `prefer` picks (e.g. the section a student is in), or else the
+// course's only section. Pairs with authorize like fromParam.
+const currentOffering = (param, successor, prefer = () => false) => ({
+  load: async (req) => {
+    const term = await Term.findCurrent();
+    if (!term) return null;
+
+    const offerings = await Offering.find({
+      course: req.params[param],
+      term: term._id,
+      status: { $ne: 'cancelled' }
+    }).populate('course');
+    return offerings.find(offering => prefer(req, offering)) ||
+      (offerings.length === 1 ? offerings[0] : null);
+  },
+  notFound: `No single offering of this course in the current term; use ${successor}`
+});
+
+module.exports = deprecated;
+module.exports.currentOffering = currentOffering;
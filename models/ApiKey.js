@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'klu';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Only write lastUsedAt once a minute to keep authenticated requests cheap
+const TOUCH_INTERVAL = 60 * 1000;
+
+// Keys for service-to-service integrations (library, hostel, payments).
+// The full key is `klu_<keyId>_<secret>`; only a hash of the secret is stored.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Policy actions the key may perform, e.g. 'student:read'
+  scopes: [{
+    type: String,
+    required: true
+  }],
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  revokedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // The secret is shown once, when issued; its hash never leaves the server
+    transform: (doc, ret) => {
+      delete ret.secretHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Methods
+apiKeySchema.methods = {
+  // Generate a new secret, returning the full key (caller must save)
+  generateSecret: function() {
+    const secret = crypto.randomBytes(32).toString('hex');
+    this.secretHash = hashSecret(secret);
+    return `${KEY_PREFIX}_${this.keyId}_${secret}`;
+  },
+
+  // Record that the key was just used
+  touch: async function(ip) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt < TOUCH_INTERVAL) return;
+    this.lastUsedAt = Date.now();
+    this.lastUsedIp = ip;
+    await this.updateOne({ $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } });
+  }
+};
+
+// Statics
+apiKeySchema.statics = {
+  // Create a key, returning it with the full key string (shown only once)
+  issue: async function(data) {
+    const apiKey = new this({
+      ...data,
+      keyId: crypto.randomBytes(8).toString('hex')
+    });
+    const key = apiKey.generateSecret();
+    await apiKey.save();
+    return { apiKey, key };
+  },
+
+  // Find the active key matching a full key string
+  findByKey: async function(key) {
+    const match = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{16})_([0-9a-f]{64})$`).exec(key || '');
+    if (!match) return null;
+
+    const apiKey = await this.findOne({ keyId: match[1] }).select('+secretHash');
+    if (!apiKey || !apiKey.isActive) return null;
+
+    const expected = Buffer.from(apiKey.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+  }
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
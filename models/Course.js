@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
+const Setting = require('./Setting');
+const { LETTER_GRADES } = require('./GradingScale');
 
+// Lowest grade that passes a prerequisite unless an admin or the course says otherwise
+const DEFAULT_MIN_GRADE = 'D';
+
+// Letters rank by their position in LETTER_GRADES; I (incomplete) and W
+// (withdrawn) are not ranked and never satisfy a prerequisite
+const meetsMinimumGrade = (grade, minGrade) =>
+  LETTER_GRADES.includes(grade) && LETTER_GRADES.indexOf(grade) <= LETTER_GRADES.indexOf(minGrade);
+
+// Populated references carry their id on _id
+const refId = ref => (ref && ref._id) || ref;
+
+// Catalog entry for a course. What happens in a particular term (sections,
+// instructors, schedule, enrollment and grades) lives on its offerings.
 const courseSchema = new mongoose.Schema({
   courseCode: {
     type: String,
@@ -24,77 +39,40 @@ const courseSchema = new mongoose.Schema({
     min: 1,
     max: 6,
   },
-  faculty: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Faculty'
-  }],
   description: {
     type: String,
     required: true,
     minlength: 10,
     maxlength: 1000,
   },
+  // Every one of these must have been passed
   prerequisites: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course'
   }],
+  // At least one course in each group must have been passed
+  prerequisiteGroups: [{
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }]
+  }],
+  // Must have been passed or be taken at the same time
+  corequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // Overrides the admin-configured minimum passing grade for this course
+  prerequisiteMinGrade: {
+    type: String,
+    enum: LETTER_GRADES
+  },
   semester: {
     type: Number,
     required: true,
     min: 1,
     max: 8,
   },
-  capacity: {
-    type: Number,
-    required: true,
-    min: 1,
-  },
-  enrolledStudents: [{
-    student: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Student'
-    },
-    enrollmentDate: {
-      type: Date,
-      default: Date.now
-    },
-    grade: {
-      type: String,
-      enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D', 'F', 'I', 'W'],
-      default: 'I' // I for Incomplete
-    }
-  }],
-  schedule: {
-    days: [{
-      type: String,
-      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
-      required: true
-    }],
-    startTime: {
-      type: String,
-      required: true,
-      validate: {
-        validator: function(v) {
-          return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
-        },
-        message: props => `${props.value} is not a valid time format! Use HH:MM`
-      }
-    },
-    endTime: {
-      type: String,
-      required: true,
-      validate: {
-        validator: function(v) {
-          return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
-        },
-        message: props => `${props.value} is not a valid time format! Use HH:MM`
-      }
-    },
-    room: {
-      type: String,
-      required: true
-    }
-  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'archived'],
@@ -112,21 +90,7 @@ const courseSchema = new mongoose.Schema({
       isbn: String,
       required: Boolean
     }]
-  },
-  assessments: [{
-    type: {
-      type: String,
-      enum: ['quiz', 'assignment', 'midterm', 'final', 'project'],
-      required: true
-    },
-    weightage: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 100
-    },
-    deadline: Date
-  }]
+  }
 }, {
   timestamps: true
 });
@@ -134,49 +98,68 @@ const courseSchema = new mongoose.Schema({
 // Indexes for better query performance
 courseSchema.index({ courseCode: 1 });
 courseSchema.index({ department: 1, semester: 1 });
-courseSchema.index({ 'enrolledStudents.student': 1 });
 
-// Virtual for current enrollment count
-courseSchema.virtual('currentEnrollment').get(function() {
-  return this.enrolledStudents.length;
-});
+// Method to list the prerequisites, "one of" groups and co-requisites a
+// student has not satisfied. A requisite is passed with the minimum grade
+// in any offering of it; a co-requisite may instead be taken in `term`.
+// Each entry names the courses involved and the student's best grade in
+// them, if any; an empty list means the student may enroll.
+courseSchema.methods.unmetRequisites = async function(studentId, { term } = {}) {
+  const minGrade = this.prerequisiteMinGrade ||
+    await Setting.getValue('enrollment.prerequisiteMinGrade', DEFAULT_MIN_GRADE);
 
-// Virtual for available seats
-courseSchema.virtual('availableSeats').get(function() {
-  return this.capacity - this.enrolledStudents.length;
-});
+  const ids = [
+    ...this.prerequisites,
+    ...this.prerequisiteGroups.flatMap(group => group.courses),
+    ...this.corequisites
+  ].map(refId);
+  if (ids.length === 0) return [];
 
-// Method to check if course is full
-courseSchema.methods.isFull = function() {
-  return this.enrolledStudents.length >= this.capacity;
-};
+  // Offering is registered after Course, so look it up when needed
+  const [related, offerings] = await Promise.all([
+    this.constructor.find({ _id: { $in: ids } }).select('courseCode courseName'),
+    mongoose.model('Offering').find({ course: { $in: ids }, 'enrolledStudents.student': studentId })
+      .select('course term enrolledStudents.student enrolledStudents.grade')
+  ]);
+  const byId = new Map(related.map(course => [course.id, course]));
 
-// Method to enroll a student
-courseSchema.methods.enrollStudent = async function(studentId) {
-  if (this.isFull()) {
-    throw new Error('Course is already at full capacity');
-  }
-  
-  if (this.enrolledStudents.some(enrollment => enrollment.student.equals(studentId))) {
-    throw new Error('Student is already enrolled in this course');
-  }
-
-  this.enrolledStudents.push({ student: studentId });
-  return this.save();
-};
+  const recordsFor = ref => offerings
+    .filter(offering => offering.course.equals(refId(ref)))
+    .map(offering => ({
+      term: offering.term,
+      grade: offering.enrolledStudents.find(enrollment => enrollment.student.equals(studentId)).grade
+    }));
+  const hasPassed = ref => recordsFor(ref).some(record => meetsMinimumGrade(record.grade, minGrade));
+  const isTaking = ref => Boolean(term) &&
+    recordsFor(ref).some(record => record.grade === 'I' && record.term.equals(refId(term)));
+  const bestGrade = (ref) => {
+    const grades = recordsFor(ref).map(record => record.grade);
+    const ranked = grades.filter(grade => LETTER_GRADES.includes(grade))
+      .sort((a, b) => LETTER_GRADES.indexOf(a) - LETTER_GRADES.indexOf(b));
+    return ranked[0] || grades[grades.length - 1] || null;
+  };
+  const describe = (ref) => {
+    const course = byId.get(refId(ref).toString());
+    return {
+      _id: refId(ref),
+      courseCode: course ? course.courseCode : null,
+      courseName: course ? course.courseName : null,
+      grade: bestGrade(ref)
+    };
+  };
 
-// Method to update student grade
-courseSchema.methods.updateGrade = async function(studentId, grade) {
-  const enrollment = this.enrolledStudents.find(
-    enrollment => enrollment.student.equals(studentId)
-  );
-  
-  if (!enrollment) {
-    throw new Error('Student is not enrolled in this course');
-  }
+  const unmet = [];
+  this.prerequisites
+    .filter(ref => !hasPassed(ref))
+    .forEach(ref => unmet.push({ type: 'prerequisite', minGrade, courses: [describe(ref)] }));
+  this.prerequisiteGroups
+    .filter(group => group.courses.length > 0 && !group.courses.some(hasPassed))
+    .forEach(group => unmet.push({ type: 'one-of', minGrade, courses: group.courses.map(describe) }));
+  this.corequisites
+    .filter(ref => !hasPassed(ref) && !isTaking(ref))
+    .forEach(ref => unmet.push({ type: 'corequisite', minGrade, courses: [describe(ref)] }));
 
-  enrollment.grade = grade;
-  return this.save();
+  return unmet;
 };
 
 // Static method to find courses by department
@@ -184,15 +167,8 @@ courseSchema.statics.findByDepartment = function(department) {
   return this.find({ department: department });
 };
 
-// Middleware to prevent deletion if students are enrolled
-courseSchema.pre('remove', async function(next) {
-  if (this.enrolledStudents.length > 0) {
-    next(new Error('Cannot delete course with enrolled students'));
-  }
-  next();
-});
-
 // Create the model
 const Course = mongoose.model('Course', courseSchema);
 
-module.exports = Course;
\ No newline at end of file
+module.exports = Course;
+module.exports.DEFAULT_MIN_GRADE = DEFAULT_MIN_GRADE;
\ No newline at end of file
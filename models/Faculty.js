@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 
 const facultySchema = new mongoose.Schema({
   employeeId: {
@@ -31,11 +30,6 @@ const facultySchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid email address!`
     }
   },
-  password: {
-    type: String,
-    required: true,
-    minlength: 8
-  },
   department: {
     type: String,
     required: true,
@@ -46,6 +40,11 @@ const facultySchema = new mongoose.Schema({
     required: true,
     enum: ['Assistant Professor', 'Associate Professor', 'Professor', 'Adjunct', 'Lecturer']
   },
+  // Heads of department review grade change requests for their department
+  isHeadOfDepartment: {
+    type: Boolean,
+    default: false
+  },
   dateOfJoining: {
     type: Date,
     required: true
@@ -57,10 +56,6 @@ const facultySchema = new mongoose.Schema({
     year: Number
   }],
   specializations: [String],
-  courses: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Course'
-  }],
   researchInterests: [String],
   publications: [{
     title: String,
@@ -76,6 +71,24 @@ const facultySchema = new mongoose.Schema({
     startTime: String,
     endTime: String
   }],
+  // Times the faculty member can't teach; the timetable generator never
+  // schedules their courses here
+  unavailability: [{
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    reason: String
+  }],
   contactNumber: {
     type: String,
     validate: {
@@ -99,52 +112,24 @@ facultySchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
-// Pre-save middleware to hash password
-facultySchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(10);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Keep the linked User account's email and active flag in step with the profile.
+// Credentials live on the User account; faculty log in through /api/auth.
+facultySchema.pre('save', function() {
+  if (this.isNew) return;
+  return mongoose.model('User').syncFromProfile(this, {
+    email: this.isModified('email') ? this.email : null,
+    activeChanged: this.isModified('isActive')
+  });
 });
 
-// Method to compare password
-facultySchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
-};
-
-// Method to assign a course
-facultySchema.methods.assignCourse = async function(courseId) {
-  if (!this.courses.includes(courseId)) {
-    this.courses.push(courseId);
-    await this.save();
-  }
-};
-
-// Method to remove a course
-facultySchema.methods.removeCourse = async function(courseId) {
-  this.courses = this.courses.filter(course => !course.equals(courseId));
-  await this.save();
-};
-
 // Static method to find faculty by department
 facultySchema.statics.findByDepartment = function(department) {
   return this.find({ department: department });
 };
 
-// Static method to find faculty teaching a specific course
-facultySchema.statics.findByCourse = function(courseId) {
-  return this.find({ courses: courseId });
-};
-
 // Indexes for better query performance
 facultySchema.index({ employeeId: 1 });
 facultySchema.index({ department: 1 });
-facultySchema.index({ courses: 1 });
 
 const Faculty = mongoose.model('Faculty', facultySchema);
 
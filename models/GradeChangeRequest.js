@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { GRADE_VALUES } = require('./GradingScale');
+
+// The request can no longer be reviewed as filed
+class ReviewConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewConflictError';
+  }
+}
+
+// A request to change a grade after the term's results were published.
+// Faculty file it with a justification; the head of the offering's
+// department or an admin approves or rejects it.
+const gradeChangeRequestSchema = new mongoose.Schema({
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offering',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Department of the offering's course, whose head reviews the request
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  currentGrade: {
+    type: String,
+    enum: GRADE_VALUES,
+    required: true
+  },
+  requestedGrade: {
+    type: String,
+    enum: GRADE_VALUES,
+    required: true
+  },
+  justification: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+gradeChangeRequestSchema.index({ department: 1, status: 1, createdAt: -1 });
+gradeChangeRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+// One open request per student per offering
+gradeChangeRequestSchema.index(
+  { offering: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to approve the request and apply the new grade to the offering.
+// The request is claimed and the grade applied in one transaction, so two
+// reviewers can't both act on it. Throws a ReviewConflictError if it has
+// already been reviewed or the grade has changed since it was filed.
+gradeChangeRequestSchema.methods.approve = async function(reviewerId, note) {
+  const Offering = mongoose.model('Offering');
+  const dbSession = await mongoose.startSession();
+  let claimed;
+  try {
+    await dbSession.withTransaction(async () => {
+      claimed = await this.claim('approved', reviewerId, note, dbSession);
+
+      const offering = await Offering.findById(this.offering).session(dbSession);
+      const enrollment = offering && offering.findEnrollment(this.student);
+      if (!enrollment) {
+        throw new ReviewConflictError('Student is no longer enrolled in this course');
+      }
+      if (enrollment.grade !== this.currentGrade) {
+        throw new ReviewConflictError('The grade has changed since this request was filed');
+      }
+
+      offering.setGrade(this.student, this.requestedGrade, reviewerId, {
+        source: 'change-request',
+        reason: this.justification,
+        changeRequest: this._id
+      });
+      await offering.save({ session: dbSession });
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  // The offering's own refresh is skipped for saves in a transaction.
+  // Required here: the academic record utility loads the Offering model.
+  const { refreshAcademicRecords } = require('../utils/academicRecord');
+  await refreshAcademicRecords([this.student]);
+
+  return this.set(claimed);
+};
+
+// Method to reject the request, leaving the grade as it is. Throws a
+// ReviewConflictError if it has already been reviewed.
+gradeChangeRequestSchema.methods.reject = async function(reviewerId, note) {
+  return this.set(await this.claim('rejected', reviewerId, note));
+};
+
+// Method to record the review decision, provided the request is still
+// pending. Returns the recorded fields.
+gradeChangeRequestSchema.methods.claim = async function(status, reviewerId, note, session) {
+  const review = { status, reviewedBy: reviewerId, reviewedAt: Date.now(), reviewNote: note };
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    { $set: review },
+    { session }
+  );
+  if (!claimed) {
+    throw new ReviewConflictError('This request has already been reviewed');
+  }
+  return review;
+};
+
+const GradeChangeRequest = mongoose.model('GradeChangeRequest', gradeChangeRequestSchema);
+
+module.exports = GradeChangeRequest;
+module.exports.ReviewConflictError = ReviewConflictError;
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// Every letter grade a scale may use, from best to worst. Scales pick a
+// subset of these in the same order, so a letter's position here is
+// also its rank when comparing grades (e.g. prerequisite minimums).
+const LETTER_GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F'];
+
+// Grades recorded on an enrollment that no scale awards:
+// I (incomplete) and W (withdrawn)
+const NON_LETTER_GRADES = ['I', 'W'];
+
+// Everything an enrollment's grade may hold
+const GRADE_VALUES = [...LETTER_GRADES, ...NON_LETTER_GRADES];
+
+// Used until an admin saves an institution-wide scale
+const DEFAULT_SCALE = {
+  name: 'Default 10-point scale',
+  department: null,
+  grades: [
+    { letter: 'A+', points: 10, minMarks: 90, share: 10 },
+    { letter: 'A', points: 9, minMarks: 80, share: 15 },
+    { letter: 'B+', points: 8, minMarks: 70, share: 20 },
+    { letter: 'B', points: 7, minMarks: 60, share: 25 },
+    { letter: 'C+', points: 6, minMarks: 55, share: 15 },
+    { letter: 'C', points: 5, minMarks: 50, share: 10 },
+    { letter: 'D', points: 4, minMarks: 40, share: 5 },
+    { letter: 'F', points: 0, minMarks: 0 }
+  ]
+};
+
+const rank = letter => LETTER_GRADES.indexOf(letter);
+
+// A letter covers total marks (out of 100) from its minMarks up to the
+// next better letter's minMarks. Letters worth no grade points fail.
+const gradingScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Department the scale applies to; null for the institution-wide scale
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  grades: {
+    type: [{
+      letter: {
+        type: String,
+        required: true,
+        enum: LETTER_GRADES
+      },
+      points: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 10
+      },
+      minMarks: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      },
+      // Percentage of the passing students awarded this letter under
+      // relative grading
+      share: {
+        type: Number,
+        min: 0,
+        max: 100
+      }
+    }],
+    validate: [
+      {
+        validator: v => v.length > 0,
+        message: 'A grading scale needs at least one grade'
+      },
+      {
+        validator: v => new Set(v.map(grade => grade.letter)).size === v.length,
+        message: 'Each letter may appear only once'
+      },
+      {
+        validator: v => v.some(grade => grade.minMarks === 0),
+        message: 'The lowest grade must start at 0 marks'
+      },
+      {
+        // Better letters need more marks and are worth at least as many points
+        validator: v => [...v].sort((a, b) => rank(a.letter) - rank(b.letter)).every((grade, i, sorted) =>
+          i === 0 || (grade.minMarks < sorted[i - 1].minMarks && grade.points <= sorted[i - 1].points)),
+        message: 'Better letters must need more marks and be worth at least as many points'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// One scale per department and one institution-wide
+gradingScaleSchema.index({ department: 1 }, { unique: true });
+
+// Grades from best to worst
+gradingScaleSchema.methods.sortedGrades = function() {
+  return [...this.grades].sort((a, b) => rank(a.letter) - rank(b.letter));
+};
+
+// Method to check if a letter is on this scale
+gradingScaleSchema.methods.hasLetter = function(letter) {
+  return this.grades.some(grade => grade.letter === letter);
+};
+
+// Method to get a letter's grade points (null for I, W or letters not on the scale)
+gradingScaleSchema.methods.pointsFor = function(letter) {
+  const grade = this.grades.find(entry => entry.letter === letter);
+  return grade ? grade.points : null;
+};
+
+// Method to check if a letter passes
+gradingScaleSchema.methods.isPassing = function(letter) {
+  const points = this.pointsFor(letter);
+  return points !== null && points > 0;
+};
+
+// Method to get the letter earned by total marks out of 100
+gradingScaleSchema.methods.letterFor = function(marks) {
+  return this.sortedGrades().find(grade => marks >= grade.minMarks).letter;
+};
+
+// Method to grade a class relative to its distribution. `totals` is a list
+// of { key, marks }; returns a Map of key to letter. Students below the
+// lowest passing grade's minMarks still fail. The rest are ranked by marks
+// and the passing letters handed out in order by their share of the class;
+// tied students get the same letter.
+gradingScaleSchema.methods.curve = function(totals) {
+  const passing = this.sortedGrades().filter(grade => grade.points > 0);
+  const totalShare = passing.reduce((sum, grade) => sum + (grade.share || 0), 0);
+  if (totalShare === 0) {
+    throw new Error('This grading scale has no shares set for relative grading');
+  }
+
+  const passMarks = Math.min(...passing.map(grade => grade.minMarks));
+  const ranked = totals
+    .filter(entry => entry.marks >= passMarks)
+    .sort((a, b) => b.marks - a.marks);
+
+  // Position in the ranking where each letter's share runs out
+  let cumulative = 0;
+  const cutoffs = passing.map(grade => {
+    cumulative += (grade.share || 0) / totalShare;
+    return { letter: grade.letter, upTo: Math.round(cumulative * ranked.length) };
+  });
+
+  const letters = new Map();
+  ranked.forEach((entry, i) => {
+    const previous = ranked[i - 1];
+    letters.set(entry.key, previous && previous.marks === entry.marks
+      ? letters.get(previous.key)
+      : (cutoffs.find(cutoff => i < cutoff.upTo) || cutoffs[cutoffs.length - 1]).letter);
+  });
+
+  totals
+    .filter(entry => !letters.has(entry.key))
+    .forEach(entry => letters.set(entry.key, this.letterFor(entry.marks)));
+
+  return letters;
+};
+
+// Static method to find the scale for a department, falling back to the
+// institution-wide scale and then the built-in default
+gradingScaleSchema.statics.forDepartment = async function(department) {
+  const scale = (department && await this.findOne({ department })) ||
+    await this.findOne({ department: null });
+  return scale || new this(DEFAULT_SCALE);
+};
+
+const GradingScale = mongoose.model('GradingScale', gradingScaleSchema);
+
+module.exports = GradingScale;
+module.exports.LETTER_GRADES = LETTER_GRADES;
+module.exports.NON_LETTER_GRADES = NON_LETTER_GRADES;
+module.exports.GRADE_VALUES = GRADE_VALUES;
+module.exports.DEFAULT_SCALE = DEFAULT_SCALE;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Audit trail of impersonation: one entry when an admin starts
+// impersonating and one for every request made with the token
+const impersonationLogSchema = new mongoose.Schema({
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['start', 'request'],
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  tokenId: String // jti of the impersonation token
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+impersonationLogSchema.index({ impersonator: 1, createdAt: -1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to log a request once its response has been sent
+impersonationLogSchema.statics.recordRequest = function(req, res) {
+  res.on('finish', () => {
+    this.create({
+      impersonator: req.impersonator.id,
+      user: req.user.id,
+      action: 'request',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      tokenId: req.token.jti
+    }).catch(err => console.error(err.message));
+  });
+};
+
+const ImpersonationLog = mongoose.model('ImpersonationLog', impersonationLogSchema);
+
+module.exports = ImpersonationLog;
@@ -0,0 +1,578 @@
+const mongoose = require('mongoose');
+const Course = require('./Course');
+const Term = require('./Term');
+const { GRADE_VALUES } = require('./GradingScale');
+
+// How a grade came to be set: entered by hand, computed from the gradebook,
+// a withdrawal, or an approved grade change request
+const GRADE_SOURCES = ['entered', 'computed', 'withdrawal', 'change-request'];
+
+// How long a promoted student has to claim their seat before it passes on
+const CLAIM_WINDOW_HOURS = parseInt(process.env.WAITLIST_CLAIM_HOURS, 10) || 48;
+
+const timeValidator = {
+  validator: function(v) {
+    return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+  },
+  message: props => `${props.value} is not a valid time format! Use HH:MM`
+};
+
+// One section of a catalog course run in a term. Enrollment, waitlist,
+// schedule, instructors and grades live here so every run of a course
+// keeps its own records.
+const offeringSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term',
+    required: true
+  },
+  section: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    default: 'A'
+  },
+  faculty: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
+  }],
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  enrolledStudents: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    enrollmentDate: {
+      type: Date,
+      default: Date.now
+    },
+    grade: {
+      type: String,
+      enum: GRADE_VALUES,
+      default: 'I' // I for Incomplete
+    },
+    // Every change to the grade, oldest first
+    gradeHistory: [{
+      previousGrade: {
+        type: String,
+        enum: GRADE_VALUES
+      },
+      grade: {
+        type: String,
+        enum: GRADE_VALUES,
+        required: true
+      },
+      source: {
+        type: String,
+        enum: GRADE_SOURCES,
+        required: true
+      },
+      reason: String,
+      changeRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradeChangeRequest'
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Recorded when an admin enrolls a student who doesn't meet the requisites
+    requisiteOverride: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: String,
+      unmet: [String], // course codes that were not satisfied
+      at: Date
+    },
+    // Scores for the offering's assessments, out of each one's maxMarks
+    marks: [{
+      assessment: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      score: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }],
+  // Ordered queue of students waiting for a seat. The student at the front
+  // is offered a seat when one frees up and holds it until offerExpiresAt.
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date
+  }],
+  // Filled in by hand or by applying a generated timetable
+  schedule: {
+    days: [{
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+    }],
+    startTime: {
+      type: String,
+      validate: timeValidator
+    },
+    endTime: {
+      type: String,
+      validate: timeValidator
+    },
+    room: String
+  },
+  assessments: {
+    type: [{
+      type: {
+        type: String,
+        enum: ['quiz', 'assignment', 'midterm', 'final', 'project'],
+        required: true
+      },
+      title: {
+        type: String,
+        trim: true
+      },
+      weightage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      },
+      maxMarks: {
+        type: Number,
+        default: 100,
+        min: 1
+      },
+      deadline: Date
+    }],
+    validate: {
+      validator: function(v) {
+        const total = v.reduce((sum, assessment) => sum + assessment.weightage, 0);
+        return v.length === 0 || Math.abs(total - 100) < 0.01;
+      },
+      message: 'Assessment weightages must add up to 100'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+offeringSchema.index({ course: 1, term: 1, section: 1 }, { unique: true });
+offeringSchema.index({ term: 1 });
+offeringSchema.index({ faculty: 1 });
+offeringSchema.index({ 'enrolledStudents.student': 1 });
+offeringSchema.index({ 'waitlist.student': 1 });
+offeringSchema.index({ 'waitlist.offerExpiresAt': 1 });
+
+// Virtual for current enrollment count; students who withdrew keep their
+// record but not their seat
+offeringSchema.virtual('currentEnrollment').get(function() {
+  return this.enrolledStudents.filter(enrollment => enrollment.grade !== 'W').length;
+});
+
+// Virtual for seats held for waitlisted students who haven't claimed yet
+offeringSchema.virtual('reservedSeats').get(function() {
+  return this.waitlist.filter(entry => entry.offerExpiresAt > Date.now()).length;
+});
+
+// Virtual for available seats
+offeringSchema.virtual('availableSeats').get(function() {
+  return this.capacity - this.currentEnrollment - this.reservedSeats;
+});
+
+// Virtual for how much of the final total the assessments cover
+offeringSchema.virtual('totalWeightage').get(function() {
+  return this.assessments.reduce((sum, assessment) => sum + assessment.weightage, 0);
+});
+
+// Method to check if the offering is full
+offeringSchema.methods.isFull = function() {
+  return this.availableSeats <= 0;
+};
+
+// Method to check if a student is enrolled
+offeringSchema.methods.isEnrolled = function(studentId) {
+  return this.enrolledStudents.some(enrollment => enrollment.student.equals(studentId));
+};
+
+// Method to list the students still taking the offering (not withdrawn)
+offeringSchema.methods.activeStudents = function() {
+  return this.enrolledStudents
+    .filter(enrollment => enrollment.grade !== 'W')
+    .map(enrollment => enrollment.student);
+};
+
+// Method to check if a student holds a seat in another section of the
+// same course this term (students take one section per term)
+offeringSchema.methods.isEnrolledInOtherSection = async function(studentId) {
+  const other = await this.constructor.exists({
+    _id: { $ne: this._id },
+    course: this.populated('course') || this.course,
+    term: this.term,
+    'enrolledStudents.student': studentId
+  });
+  return Boolean(other);
+};
+
+// Method to find a student's waitlist entry
+offeringSchema.methods.findWaitlistEntry = function(studentId) {
+  return this.waitlist.find(entry => entry.student.equals(studentId));
+};
+
+// Method to get a student's 1-based waitlist position (0 if not waitlisted)
+offeringSchema.methods.waitlistPosition = function(studentId) {
+  return this.waitlist.findIndex(entry => entry.student.equals(studentId)) + 1;
+};
+
+// Method to add a student to the back of the waitlist (caller must save)
+offeringSchema.methods.joinWaitlist = function(studentId) {
+  if (this.isEnrolled(studentId)) {
+    throw new Error('Student is already enrolled in this course');
+  }
+  if (this.findWaitlistEntry(studentId)) {
+    throw new Error('Student is already on the waitlist');
+  }
+  if (!this.isFull()) {
+    throw new Error('Course has seats available; enroll directly');
+  }
+
+  this.waitlist.push({ student: studentId });
+  return this.waitlist.length;
+};
+
+// Method to remove a student from the waitlist (caller must save)
+offeringSchema.methods.leaveWaitlist = function(studentId) {
+  const entry = this.findWaitlistEntry(studentId);
+  if (!entry) {
+    throw new Error('Student is not on the waitlist');
+  }
+  this.waitlist.pull(entry._id);
+};
+
+// Method to drop waitlist offers that were never claimed (caller must save)
+offeringSchema.methods.dropExpiredOffers = function() {
+  const now = Date.now();
+
+  this.waitlist
+    .filter(entry => entry.offerExpiresAt && entry.offerExpiresAt <= now)
+    .forEach(entry => this.waitlist.pull(entry._id));
+};
+
+// Method to offer free seats to the front of the waitlist, first dropping
+// offers that were never claimed. Returns the newly offered entries so the
+// caller can notify them (caller must save).
+offeringSchema.methods.promoteFromWaitlist = function() {
+  const now = Date.now();
+  this.dropExpiredOffers();
+
+  const offered = [];
+  for (const entry of this.waitlist) {
+    if (this.availableSeats <= 0) break;
+    if (entry.offerExpiresAt) continue;
+
+    entry.offeredAt = now;
+    entry.offerExpiresAt = now + CLAIM_WINDOW_HOURS * 3600000;
+    offered.push(entry);
+  }
+  return offered;
+};
+
+// Method to take up a waitlist offer, enrolling the student (caller must save)
+offeringSchema.methods.claimWaitlistOffer = function(studentId) {
+  const entry = this.findWaitlistEntry(studentId);
+  if (!entry || !entry.offerExpiresAt) {
+    throw new Error('No seat has been offered to this student');
+  }
+  if (entry.offerExpiresAt <= Date.now()) {
+    throw new Error('The seat offer has expired');
+  }
+
+  this.waitlist.pull(entry._id);
+  this.enrolledStudents.push({ student: studentId });
+};
+
+// Method to list the catalog course's requisites a student hasn't met,
+// counting co-requisites taken in this offering's term
+offeringSchema.methods.unmetRequisites = async function(studentId) {
+  const course = this.populated('course') ? this.course : await Course.findById(this.course);
+  return course.unmetRequisites(studentId, { term: this.term });
+};
+
+// Method to add an enrollment given the student's unmet requisites. Pass
+// `override: { by, reason }` to enroll someone who doesn't meet them; the
+// override is recorded on the enrollment. Throws with `unmet` set when
+// requisites block enrollment (caller must save).
+offeringSchema.methods.addEnrollment = function(studentId, unmet, override) {
+  const enrollment = { student: studentId };
+
+  if (unmet.length > 0) {
+    if (!override) {
+      const err = new Error('Prerequisites not met');
+      err.unmet = unmet;
+      throw err;
+    }
+    enrollment.requisiteOverride = {
+      by: override.by,
+      reason: override.reason,
+      unmet: [...new Set(unmet.flatMap(item => item.courses.map(course => course.courseCode)))].filter(Boolean),
+      at: Date.now()
+    };
+  }
+
+  this.enrolledStudents.push(enrollment);
+};
+
+// Method to enroll a student, checking capacity and requisites
+offeringSchema.methods.enrollStudent = async function(studentId, { override } = {}) {
+  if (this.isFull()) {
+    throw new Error('Course is already at full capacity');
+  }
+
+  if (this.isEnrolled(studentId)) {
+    throw new Error('Student is already enrolled in this course');
+  }
+
+  this.addEnrollment(studentId, await this.unmetRequisites(studentId), override);
+  return this.save();
+};
+
+// Method to find a student's enrollment
+offeringSchema.methods.findEnrollment = function(studentId) {
+  return this.enrolledStudents.find(enrollment => enrollment.student.equals(studentId));
+};
+
+// Method to record (or correct) a student's score on an assessment (caller must save)
+offeringSchema.methods.recordMark = function(studentId, assessmentId, score, recordedBy) {
+  const enrollment = this.findEnrollment(studentId);
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this course');
+  }
+
+  const assessment = this.assessments.id(assessmentId);
+  if (!assessment) {
+    throw new Error('Assessment not found in this course');
+  }
+  if (score > assessment.maxMarks) {
+    throw new Error(`Score cannot exceed the assessment's ${assessment.maxMarks} marks`);
+  }
+
+  const mark = enrollment.marks.find(entry => entry.assessment.equals(assessment._id));
+  if (mark) {
+    mark.set({ score, recordedBy, recordedAt: Date.now() });
+  } else {
+    enrollment.marks.push({ assessment: assessment._id, score, recordedBy });
+  }
+};
+
+// Method to replace the assessment plan. Entries carrying an existing
+// assessment's _id update it, keeping fields they leave out; assessments
+// left out are removed, which isn't allowed once marks are recorded
+// against them (caller must save).
+offeringSchema.methods.setAssessments = function(assessments) {
+  const merged = assessments.map(assessment => {
+    const existing = assessment._id && this.assessments.id(assessment._id);
+    return existing ? { ...existing.toObject(), ...assessment } : assessment;
+  });
+  const marks = this.enrolledStudents.flatMap(enrollment => enrollment.marks);
+
+  for (const existing of this.assessments) {
+    const recorded = marks.filter(mark => mark.assessment.equals(existing._id));
+    if (recorded.length === 0) continue;
+
+    const name = existing.title || existing.type;
+    const replacement = merged.find(assessment => existing._id.equals(assessment._id));
+    if (!replacement) {
+      throw new Error(`Cannot remove the ${name} assessment: marks are recorded against it`);
+    }
+    if (recorded.some(mark => mark.score > replacement.maxMarks)) {
+      throw new Error(`Recorded scores exceed ${replacement.maxMarks} marks for the ${name} assessment`);
+    }
+  }
+
+  this.assessments = merged;
+};
+
+// Method to summarize an enrollment's marks: every assessment with the
+// score recorded so far (null if none), the weighted total out of 100 and
+// how much of the weightage has been marked
+offeringSchema.methods.marksSummary = function(enrollment) {
+  let weightedTotal = 0;
+  let weightageMarked = 0;
+
+  const marks = this.assessments.map(assessment => {
+    const mark = enrollment.marks.find(entry => entry.assessment.equals(assessment._id));
+    if (mark) {
+      weightedTotal += mark.score / assessment.maxMarks * assessment.weightage;
+      weightageMarked += assessment.weightage;
+    }
+    return {
+      assessment: assessment._id,
+      type: assessment.type,
+      title: assessment.title,
+      weightage: assessment.weightage,
+      maxMarks: assessment.maxMarks,
+      score: mark ? mark.score : null
+    };
+  });
+
+  return {
+    marks,
+    weightedTotal: Math.round(weightedTotal * 100) / 100,
+    weightageMarked,
+    grade: enrollment.grade
+  };
+};
+
+// Method to work out letter grades from the gradebook on a grading scale,
+// absolutely or relative to the class (caller applies and saves them).
+// Students who withdrew or haven't been marked on every assessment are
+// skipped.
+offeringSchema.methods.computeGrades = function(scale, { relative = false } = {}) {
+  if (this.assessments.length === 0) {
+    throw new Error('This course has no assessments to grade from');
+  }
+
+  const totals = [];
+  const skipped = [];
+  for (const enrollment of this.enrolledStudents) {
+    const summary = this.marksSummary(enrollment);
+    if (enrollment.grade === 'W') {
+      skipped.push({ student: enrollment.student, reason: 'Withdrawn' });
+    } else if (summary.weightageMarked < this.totalWeightage) {
+      skipped.push({ student: enrollment.student, reason: 'Not marked on every assessment' });
+    } else {
+      totals.push({ key: enrollment.student.toString(), enrollment, marks: summary.weightedTotal });
+    }
+  }
+
+  const letters = relative
+    ? scale.curve(totals)
+    : new Map(totals.map(entry => [entry.key, scale.letterFor(entry.marks)]));
+
+  const graded = totals.map(({ key, enrollment, marks }) => ({
+    student: enrollment.student,
+    weightedTotal: marks,
+    previousGrade: enrollment.grade,
+    grade: letters.get(key)
+  }));
+
+  return { graded, skipped };
+};
+
+// Method to set a student's grade and record the change in their grade
+// history (caller must save). Returns false if the grade is unchanged.
+offeringSchema.methods.setGrade = function(studentId, grade, changedBy, { source = 'entered', reason, changeRequest } = {}) {
+  const enrollment = this.findEnrollment(studentId);
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this course');
+  }
+  if (enrollment.grade === grade) return false;
+
+  enrollment.gradeHistory.push({
+    previousGrade: enrollment.grade,
+    grade,
+    source,
+    reason,
+    changeRequest,
+    changedBy
+  });
+  enrollment.grade = grade;
+  return true;
+};
+
+// Method to check if the term's results are published, which locks grades
+offeringSchema.methods.gradesLocked = async function() {
+  const term = await Term.findById(this.populated('term') || this.term);
+  return Boolean(term && term.areResultsPublished());
+};
+
+// Method to take a student out of the offering: 'drop' deletes the
+// enrollment, 'withdraw' keeps it with a W grade (caller must save)
+offeringSchema.methods.removeStudent = function(studentId, outcome, changedBy) {
+  const enrollment = this.findEnrollment(studentId);
+  if (!enrollment) {
+    throw new Error('Student is not enrolled in this course');
+  }
+  if (enrollment.grade === 'W') {
+    throw new Error('Student has already withdrawn from this course');
+  }
+
+  if (outcome === 'withdraw') {
+    this.setGrade(studentId, 'W', changedBy, { source: 'withdrawal' });
+  } else {
+    this.enrolledStudents.pull(enrollment._id);
+  }
+};
+
+// Method to update student grade
+offeringSchema.methods.updateGrade = async function(studentId, grade, changedBy) {
+  this.setGrade(studentId, grade, changedBy);
+  return this.save();
+};
+
+// Keep students' stored CGPA and backlog count in step with their grades.
+// Saves inside a transaction are skipped: the refresh reads outside it, so
+// the caller refreshes once the transaction has committed.
+offeringSchema.pre('save', function() {
+  this.$locals.regraded = this.enrolledStudents
+    .filter(enrollment => !enrollment.isNew && enrollment.isModified('grade'))
+    .map(enrollment => enrollment.student);
+});
+
+offeringSchema.post('save', async function() {
+  if (this.$locals.regraded.length > 0 && !this.$session()) {
+    // Required here: the academic record utility loads this model
+    const { refreshAcademicRecords } = require('../utils/academicRecord');
+    await refreshAcademicRecords(this.$locals.regraded);
+  }
+});
+
+// Static method to find a term's offerings
+offeringSchema.statics.findByTerm = function(termId) {
+  return this.find({ term: termId });
+};
+
+const Offering = mongoose.model('Offering', offeringSchema);
+
+module.exports = Offering;
+module.exports.GRADE_SOURCES = GRADE_SOURCES;
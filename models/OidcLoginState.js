@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Per-login OIDC state, PKCE verifier and nonce, kept server side between
+// the redirect to the identity provider and its callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => Date.now() + 10 * 60 * 1000 // 10 minutes
+  }
+}, {
+  timestamps: true
+});
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to fetch and delete a state in one step, so it is single use
+oidcLoginStateSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({ state, expiresAt: { $gt: Date.now() } });
+};
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+module.exports = OidcLoginState;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// What a student must complete to graduate. A program applies to the
+// students of one branch and batch (Student.academic.branch / batch).
+const programSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  branch: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  batch: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Credits from passed courses needed in total, core and electives included
+  totalCredits: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Every one of these must be passed
+  requiredCourses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  // At least minCredits must be passed from each pool's courses. A course
+  // counts towards one requirement only: the required courses first, then
+  // the pools in order.
+  electivePools: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    minCredits: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  minCgpa: {
+    type: Number,
+    default: 5,
+    min: 0,
+    max: 10
+  }
+}, {
+  timestamps: true
+});
+
+// One program per branch and batch
+programSchema.index({ branch: 1, batch: 1 }, { unique: true });
+
+// Static method to find the program a student is following
+programSchema.statics.findForStudent = function(student) {
+  return this.findOne({ branch: student.academic.branch, batch: student.academic.batch });
+};
+
+const Program = mongoose.model('Program', programSchema);
+
+module.exports = Program;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Parse durations such as '15m', '7d' into milliseconds
+const durationToMs = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * units[match[2]];
+};
+
+const refreshTtl = () => durationToMs(process.env.JWT_REFRESH_EXPIRE || '7d');
+
+// Only write lastSeenAt once a minute to keep authenticated requests cheap
+const TOUCH_INTERVAL = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // sha256 hash of the refresh token handed to the client
+  refreshToken: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshToken: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Methods
+sessionSchema.methods = {
+  // Replace the refresh token, returning the new raw value
+  rotate: async function(client = {}) {
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    this.refreshToken = hashToken(refreshToken);
+    this.expiresAt = Date.now() + refreshTtl();
+    this.lastSeenAt = Date.now();
+    if (client.userAgent) this.userAgent = client.userAgent;
+    if (client.ip) this.ip = client.ip;
+    await this.save();
+    return refreshToken;
+  },
+
+  // Record activity on the session
+  touch: async function() {
+    if (Date.now() - this.lastSeenAt < TOUCH_INTERVAL) return;
+    this.lastSeenAt = Date.now();
+    await this.updateOne({ $set: { lastSeenAt: this.lastSeenAt } });
+  },
+
+  // Revoke the session, optionally recording who did it
+  revoke: function(revokedBy) {
+    this.revokedAt = Date.now();
+    if (revokedBy) this.revokedBy = revokedBy;
+    return this.save();
+  }
+};
+
+// Statics
+sessionSchema.statics = {
+  // Open a new session for a user, returning it with its raw refresh token
+  start: async function(userId, client = {}) {
+    const session = new this({
+      user: userId,
+      userAgent: client.userAgent,
+      ip: client.ip
+    });
+    const refreshToken = await session.rotate();
+    return { session, refreshToken };
+  },
+
+  // Find the active session holding a refresh token
+  findByRefreshToken: function(refreshToken) {
+    return this.findOne({
+      refreshToken: hashToken(refreshToken),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() }
+    });
+  },
+
+  // List a user's active sessions, most recently used first
+  findActiveByUser: function(userId) {
+    return this.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() }
+    }).sort({ lastSeenAt: -1 });
+  },
+
+  // Revoke every active session for a user ("log out everywhere")
+  revokeAllForUser: function(userId, revokedBy, options) {
+    const update = { revokedAt: Date.now() };
+    if (revokedBy) update.revokedBy = revokedBy;
+    return this.updateMany(
+      { user: userId, revokedAt: { $exists: false } },
+      { $set: update },
+      options
+    );
+  }
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
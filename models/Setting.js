@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Admin-editable settings stored as key/value pairs
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default
+settingSchema.statics.getValue = async function(key, fallback) {
+  const setting = await this.findOne({ key });
+  return setting && setting.value !== undefined ? setting.value : fallback;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
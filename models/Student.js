@@ -91,31 +91,6 @@ const studentSchema = new mongoose.Schema({
       default: 0
     }
   },
-  courses: [{
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Course'
-    },
-    enrollmentDate: {
-      type: Date,
-      default: Date.now
-    },
-    grade: {
-      type: String,
-      enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D', 'F', 'I', 'W'],
-      default: 'I'
-    },
-    attendance: {
-      present: {
-        type: Number,
-        default: 0
-      },
-      total: {
-        type: Number,
-        default: 0
-      }
-    }
-  }],
   attendance: {
     overallPercentage: {
       type: Number,
@@ -187,6 +162,15 @@ studentSchema.virtual('attendancePercentage').get(function() {
   if (this.attendance.total === 0) return 0; return (this.attendance.present / this.attendance.total) * 100;
 });
 
+// Keep the linked User account's email and active flag in step with the profile
+studentSchema.pre('save', function() {
+  if (this.isNew) return;
+  return mongoose.model('User').syncFromProfile(this, {
+    email: this.isModified('contactInfo.email') ? this.contactInfo.email : null,
+    activeChanged: this.isModified('isActive')
+  });
+});
+
 const Student = mongoose.model('Student', studentSchema);
 
 module.exports = Student;
\ No newline at end of file
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { questionSchema, LIKERT_POINTS } = require('./SurveyTemplate');
+const SurveyResponse = require('./SurveyResponse');
+const SurveyParticipation = require('./SurveyParticipation');
+
+// Results stay hidden until at least this many students have responded
+const MIN_RESPONSES = parseInt(process.env.SURVEY_MIN_RESPONSES, 10) || 5;
+
+const MAX_TEXT_LENGTH = 2000;
+
+// Populated references carry their id on _id
+const refId = ref => (ref && ref._id) || ref;
+
+// An end-of-course feedback survey for one offering. Who has responded is
+// recorded only as hashed SurveyParticipation keys, to stop repeat
+// responses; the answers are stored in SurveyResponse documents with no
+// link back to the student.
+const surveySchema = new mongoose.Schema({
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offering',
+    required: true
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term',
+    required: true
+  },
+  // Department of the offering's course, whose head sees the results
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyTemplate'
+  },
+  // Copied from the template when the survey opens
+  questions: [questionSchema],
+  // The offering's instructors when the survey opened; instructor
+  // questions are answered once for each
+  faculty: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
+  }],
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  closesAt: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return !this.opensAt || v > this.opensAt;
+      },
+      message: 'Closing date must be after the opening date'
+    }
+  },
+  minResponses: {
+    type: Number,
+    default: MIN_RESPONSES,
+    min: 1
+  },
+  responseCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+surveySchema.index({ offering: 1 }, { unique: true });
+surveySchema.index({ term: 1 });
+surveySchema.index({ faculty: 1 });
+
+// Method to check if the survey is taking responses
+surveySchema.methods.isOpen = function(at = Date.now()) {
+  return at >= this.opensAt && at < this.closesAt;
+};
+
+// Method to check if the survey has stopped taking responses. Results wait
+// for this, or they could be reloaded after each response to see what it added.
+surveySchema.methods.isClosed = function(at = Date.now()) {
+  return at >= this.closesAt;
+};
+
+// Method to check if enough students have responded to show results
+surveySchema.methods.hasEnoughResponses = function() {
+  return this.responseCount >= this.minResponses;
+};
+
+// Method to check a student's answers against the questions and turn them
+// into what a SurveyResponse stores. Each answer is { question, faculty,
+// value }, with faculty given for instructor questions only. Throws on
+// the first problem found.
+surveySchema.methods.normalizeAnswers = function(answers) {
+  const normalized = [];
+
+  for (const question of this.questions) {
+    const targets = question.target === 'instructor' ? this.faculty.map(refId) : [null];
+
+    for (const faculty of targets) {
+      const answer = answers.find(entry =>
+        question._id.equals(entry.question) && (faculty ? faculty.equals(entry.faculty) : !entry.faculty));
+      const value = answer ? answer.value : undefined;
+      const blank = value === undefined || value === null || value === '';
+
+      if (blank) {
+        if (question.required) {
+          throw new Error(`An answer is required for "${question.prompt}"`);
+        }
+        continue;
+      }
+
+      const stored = { question: question._id };
+      if (faculty) stored.faculty = faculty;
+      if (question.type === 'likert') {
+        if (!Number.isInteger(value) || value < 1 || value > LIKERT_POINTS) {
+          throw new Error(`"${question.prompt}" needs a rating from 1 to ${LIKERT_POINTS}`);
+        }
+        stored.rating = value;
+      } else if (question.type === 'multiple-choice') {
+        if (!question.options.includes(value)) {
+          throw new Error(`"${value}" is not an option for "${question.prompt}"`);
+        }
+        stored.choice = value;
+      } else {
+        if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+          throw new Error(`"${question.prompt}" needs text of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        stored.text = value.trim();
+      }
+      normalized.push(stored);
+    }
+  }
+
+  return normalized;
+};
+
+// Method to record a student's normalized answers. The student's
+// participation and their answers are saved separately, so the stored
+// answers can't be traced back to them. Returns false if the student has
+// already responded.
+surveySchema.methods.respond = async function(studentId, answers) {
+  if (!(await SurveyParticipation.record(this._id, studentId))) return false;
+
+  try {
+    await SurveyResponse.create({ survey: this._id, answers });
+  } catch (err) {
+    // Let the student try again
+    await SurveyParticipation.forget(this._id, studentId);
+    throw err;
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { responseCount: 1 } });
+  this.responseCount += 1;
+  return true;
+};
+
+const Survey = mongoose.model('Survey', surveySchema);
+
+module.exports = Survey;
+module.exports.MIN_RESPONSES = MIN_RESPONSES;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Marks that a student has answered a survey, so they can't answer twice.
+// The only field is a keyed hash of the survey and student: the students
+// who took part can't be listed, let alone put in the order they answered.
+const surveyParticipationSchema = new mongoose.Schema({
+  _id: String
+}, {
+  versionKey: false
+});
+
+const participationKey = (surveyId, studentId) => crypto
+  .createHmac('sha256', process.env.SURVEY_SECRET || process.env.JWT_SECRET)
+  .update(`${surveyId}:${studentId}`)
+  .digest('hex');
+
+// Static method to record a student's participation. Returns false if they
+// had already taken part.
+surveyParticipationSchema.statics.record = async function(surveyId, studentId) {
+  try {
+    await this.create({ _id: participationKey(surveyId, studentId) });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+// Static method to undo a participation whose response couldn't be saved
+surveyParticipationSchema.statics.forget = function(surveyId, studentId) {
+  return this.deleteOne({ _id: participationKey(surveyId, studentId) });
+};
+
+// Static method to find which of the surveys a student has answered
+surveyParticipationSchema.statics.answeredBy = async function(surveyIds, studentId) {
+  const keys = new Map(surveyIds.map(id => [participationKey(id, studentId), id]));
+  const found = await this.find({ _id: { $in: [...keys.keys()] } });
+  return found.map(participation => keys.get(participation._id));
+};
+
+const SurveyParticipation = mongoose.model('SurveyParticipation', surveyParticipationSchema);
+
+module.exports = SurveyParticipation;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One student's answers to a feedback survey. Deliberately holds no
+// student reference and no timestamps, so a response can't be matched to
+// the student who gave it.
+const surveyResponseSchema = new mongoose.Schema({
+  // Random rather than an ObjectId, which would carry the time of submission
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  answers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Set for questions about an instructor
+    faculty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Faculty'
+    },
+    rating: Number,
+    choice: String,
+    text: String
+  }]
+});
+
+// Indexes for better query performance. Responses are read back sorted on
+// their random ids, never in the order they were saved.
+surveyResponseSchema.index({ survey: 1, _id: 1 });
+
+const SurveyResponse = mongoose.model('SurveyResponse', surveyResponseSchema);
+
+module.exports = SurveyResponse;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['likert', 'multiple-choice', 'text'];
+
+// Likert answers run from 1 (strongly disagree) to LIKERT_POINTS
+const LIKERT_POINTS = 5;
+
+// Questions are asked either about the course or, once per instructor,
+// about each faculty member teaching it
+const QUESTION_TARGETS = ['course', 'instructor'];
+
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  target: {
+    type: String,
+    enum: QUESTION_TARGETS,
+    default: 'course'
+  },
+  // Choices for multiple-choice questions
+  options: {
+    type: [{
+      type: String,
+      trim: true
+    }],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'multiple-choice' || (v.length >= 2 && new Set(v).size === v.length);
+      },
+      message: 'Multiple-choice questions need at least two distinct options'
+    }
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// The questions of an end-of-course feedback survey. Surveys copy the
+// questions when they open, so editing a template doesn't change surveys
+// already running.
+const surveyTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'A survey template needs at least one question'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const SurveyTemplate = mongoose.model('SurveyTemplate', surveyTemplateSchema);
+
+module.exports = SurveyTemplate;
+module.exports.questionSchema = questionSchema;
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.QUESTION_TARGETS = QUESTION_TARGETS;
+module.exports.LIKERT_POINTS = LIKERT_POINTS;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// An academic term (e.g. the odd semester of 2025-26). Course offerings
+// belong to a term so each run of a course keeps its own enrollments
+// and grades.
+const termSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  academicYear: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^\d{4}-\d{2}$/.test(v);
+      },
+      message: props => `${props.value} is not a valid academic year! Use format: 2025-26`
+    }
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return !this.startDate || v > this.startDate;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  // Last moment students may be added to the term's offerings
+  addDeadline: Date,
+  // Until then leaving an offering removes the enrollment
+  dropDeadline: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.addDeadline || v >= this.addDeadline;
+      },
+      message: 'Drop deadline cannot be before the add deadline'
+    }
+  },
+  // Until then leaving keeps the enrollment with a W grade; after it only
+  // an admin can take a student out
+  withdrawDeadline: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.dropDeadline || v >= this.dropDeadline;
+      },
+      message: 'Withdrawal deadline cannot be before the drop deadline'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['upcoming', 'active', 'completed'],
+    default: 'upcoming'
+  },
+  // Once results are published the term's grades are locked and can only
+  // change through an approved grade change request
+  resultsPublishedAt: Date,
+  resultsPublishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+termSchema.index({ startDate: -1 });
+
+// Method to check if students can still be added to the term's offerings
+termSchema.methods.isAddOpen = function(at = Date.now()) {
+  return this.status !== 'completed' && (!this.addDeadline || at <= this.addDeadline);
+};
+
+// Method to check if the term's grades are locked
+termSchema.methods.areResultsPublished = function() {
+  return Boolean(this.resultsPublishedAt);
+};
+
+// Method to work out what leaving an offering at `at` means: 'drop'
+// removes the enrollment, 'withdraw' keeps it with a W grade and null
+// means it's too late. Deadlines that aren't set don't close anything.
+termSchema.methods.leaveOutcome = function(at = Date.now()) {
+  if (this.status === 'completed' || this.areResultsPublished()) return null;
+  if (!this.dropDeadline || at <= this.dropDeadline) return 'drop';
+  if (!this.withdrawDeadline || at <= this.withdrawDeadline) return 'withdraw';
+  return null;
+};
+
+// Static method to find the term in progress
+termSchema.statics.findCurrent = function() {
+  return this.findOne({ status: 'active' }).sort({ startDate: -1 });
+};
+
+const Term = mongoose.model('Term', termSchema);
+
+module.exports = Term;
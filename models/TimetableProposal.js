@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// A generated timetable for one department semester's offerings in a term.
+// Admins preview the draft and then apply it, which writes every
+// assignment to its offering.
+const timetableProposalSchema = new mongoose.Schema({
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term',
+    required: true
+  },
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 8
+  },
+  // Inputs the proposal was generated from
+  days: [{
+    type: String,
+    enum: DAYS
+  }],
+  rooms: [{
+    name: {
+      type: String,
+      required: true
+    },
+    capacity: Number
+  }],
+  slots: [{
+    startTime: String,
+    endTime: String
+  }],
+  assignments: [{
+    offering: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offering',
+      required: true
+    },
+    schedule: {
+      days: [{
+        type: String,
+        enum: DAYS
+      }],
+      startTime: String,
+      endTime: String,
+      room: String
+    },
+    penalty: Number, // soft constraint cost of this placement
+    notes: [String] // soft constraints it breaks
+  }],
+  // Offerings no clash-free placement could be found for
+  unscheduled: [{
+    offering: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offering',
+      required: true
+    },
+    reason: String
+  }],
+  totalPenalty: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the offerings' schedules, instructors, status and capacity the
+  // proposal was generated from
+  fingerprint: String,
+  status: {
+    type: String,
+    enum: ['draft', 'applied', 'discarded'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+timetableProposalSchema.index({ term: 1, department: 1, semester: 1, createdAt: -1 });
+
+// Virtual for whether every offering was placed
+timetableProposalSchema.virtual('isComplete').get(function() {
+  return this.unscheduled.length === 0;
+});
+
+const TimetableProposal = mongoose.model('TimetableProposal', timetableProposalSchema);
+
+module.exports = TimetableProposal;
+module.exports.DAYS = DAYS;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// No 0/O or 1/I so codes read back correctly off paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Random code in the form TR-XXXX-XXXX-XXXX
+const generateCode = () => {
+  const chars = [...crypto.randomBytes(12)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `TR-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`;
+};
+
+// A record of every official transcript issued. The verification code is
+// printed on the transcript; the student's name, roll number and results
+// are kept as issued so the transcript can be verified even if the
+// student's record changes later.
+const transcriptSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  studentName: {
+    type: String,
+    required: true
+  },
+  rollNumber: {
+    type: String,
+    required: true
+  },
+  cgpa: Number,
+  creditsEarned: Number,
+  standing: String,
+  // SHA-256 of the transcript's JSON form, to check a copy hasn't been altered
+  digest: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+transcriptSchema.index({ student: 1, createdAt: -1 });
+
+// Static method to record a newly issued transcript. `content` is the
+// transcript's JSON form without its verification details.
+transcriptSchema.statics.issue = function(student, content, issuedBy) {
+  return this.create({
+    student: student._id,
+    code: generateCode(),
+    studentName: content.student.name,
+    rollNumber: content.student.rollNumber,
+    cgpa: content.cgpa,
+    creditsEarned: content.creditsEarned,
+    standing: content.standing,
+    digest: crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex'),
+    issuedBy
+  });
+};
+
+// Static method to look up a transcript by the code printed on it
+transcriptSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+const Transcript = mongoose.model('Transcript', transcriptSchema);
+
+module.exports = Transcript;
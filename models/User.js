@@ -2,6 +2,28 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const Session = require('./Session');
+const totp = require('../utils/totp');
+const { policy: passwordPolicy, validatePassword } = require('../utils/passwordPolicy');
+
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME = 3600000; // 1 hour
+
+const hashCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/\s/g, ''))
+  .digest('hex');
+
+// Build a ValidationError for password policy failures so callers can
+// handle it like any other schema validation error
+const passwordError = (doc, problems) => {
+  const error = new mongoose.Error.ValidationError(doc);
+  error.addError('password', new mongoose.Error.ValidatorError({
+    path: 'password',
+    message: problems.join('; ')
+  }));
+  return error;
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,9 +50,15 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [8, 'Password must be at least 8 characters long'],
+    minlength: [passwordPolicy.minLength, `Password must be at least ${passwordPolicy.minLength} characters long`],
     select: false // Don't return password by default in queries
   },
+  // Hashes of previous passwords, newest first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
   role: {
     type: String,
     enum: {
@@ -39,10 +67,18 @@ const userSchema = new mongoose.Schema({
     },
     required: [true, 'Role is required']
   },
+  // Student/Faculty document; admins have no profile
   profile: {
     type: mongoose.Schema.Types.ObjectId,
     refPath: 'role',
-    required: true
+    required: function() {
+      return this.role !== 'admin';
+    }
+  },
+  // Identity at the campus OpenID Connect provider, once linked
+  oidc: {
+    issuer: String,
+    subject: String
   },
   isActive: {
     type: Boolean,
@@ -55,6 +91,7 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpires: Date,
   verificationToken: String,
+  verificationExpires: Date,
   isVerified: {
     type: Boolean,
     default: false
@@ -65,6 +102,38 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: {
     type: Date
+  },
+  // TOTP two-factor authentication
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // sha256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date
+  },
+  // sha256 hash of the secret in the user's calendar feed URLs
+  calendarToken: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true,
@@ -75,6 +144,8 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { unique: true, sparse: true });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware
 userSchema.pre('save', async function(next) {
@@ -82,8 +153,38 @@ userSchema.pre('save', async function(next) {
     // Only hash password if it's modified or new
     if (!this.isModified('password')) return next();
 
+    // Provisioned accounts get a random placeholder that nobody will type
+    const enforcePolicy = !this.$locals.skipPasswordPolicy;
+    const problems = enforcePolicy ? validatePassword(this.password, { username: this.username }) : [];
+
+    // Current hash first, then older ones
+    let previous = [];
+    if (!this.isNew) {
+      const existing = await this.constructor.findById(this._id).select('+password +passwordHistory');
+      if (existing) {
+        previous = [existing.password, ...(existing.passwordHistory || [])]
+          .filter(Boolean)
+          .slice(0, passwordPolicy.historySize);
+      }
+    }
+
+    if (enforcePolicy && !problems.length) {
+      for (const hash of previous) {
+        if (await bcrypt.compare(this.password, hash)) {
+          problems.push(`Password cannot match any of your last ${passwordPolicy.historySize} passwords`);
+          break;
+        }
+      }
+    }
+
+    if (problems.length) {
+      return next(passwordError(this, problems));
+    }
+
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordHistory = previous;
+    this.passwordChangedAt = Date.now();
     next();
   } catch (error) {
     next(error);
@@ -101,61 +202,154 @@ userSchema.methods = {
     }
   },
 
-  // Generate JWT token
-  generateAuthToken: function() {
+  // Whether the password is older than the policy's maximum age
+  isPasswordExpired: function() {
+    if (!passwordPolicy.maxAgeDays) return false;
+    const changedAt = this.passwordChangedAt || this.createdAt;
+    return Boolean(changedAt) && Date.now() - changedAt > passwordPolicy.maxAgeDays * 86400000;
+  },
+
+  // Generate short-lived JWT access token bound to a session
+  generateAuthToken: function(session) {
     try {
       return jwt.sign(
-        { 
-          _id: this._id,
-          role: this.role,
-          username: this.username 
+        {
+          user: {
+            id: this.id,
+            role: this.role
+          },
+          sid: session.id
         },
         process.env.JWT_SECRET,
-        { expiresIn: '24h' }
+        {
+          expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+          jwtid: crypto.randomBytes(16).toString('hex')
+        }
       );
     } catch (error) {
       throw new Error('Token generation failed');
     }
   },
 
-  // Generate password reset token
-  generatePasswordResetToken: function() {
+  // Invalidate every session and its tokens for this user
+  revokeAllTokens: function(revokedBy) {
+    return Session.revokeAllForUser(this._id, revokedBy);
+  },
+
+  // Generate password reset token (also used for account invitations)
+  generatePasswordResetToken: function(expiresIn = 3600000) {
     try {
       const resetToken = crypto.randomBytes(32).toString('hex');
       this.resetPasswordToken = crypto
         .createHash('sha256')
         .update(resetToken)
         .digest('hex');
-      this.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+      this.resetPasswordExpires = Date.now() + expiresIn; // 1 hour by default
       return resetToken;
     } catch (error) {
       throw new Error('Reset token generation failed');
     }
   },
 
-  // Increment login attempts
+  // Generate email verification token
+  generateVerificationToken: function() {
+    try {
+      const verificationToken = crypto.randomBytes(32).toString('hex');
+      this.verificationToken = crypto
+        .createHash('sha256')
+        .update(verificationToken)
+        .digest('hex');
+      this.verificationExpires = Date.now() + 24 * 3600000; // 24 hours
+      return verificationToken;
+    } catch (error) {
+      throw new Error('Verification token generation failed');
+    }
+  },
+
+  // Check a TOTP code against the user's secret, rejecting replays
+  verifyMfaCode: async function(code, secret = this.mfa.secret) {
+    try {
+      const step = totp.verify(code, secret);
+      if (step === null) return false;
+      if (this.mfa.lastUsedStep !== undefined && step <= this.mfa.lastUsedStep) return false;
+
+      this.mfa.lastUsedStep = step;
+      await this.updateOne({ $set: { 'mfa.lastUsedStep': step } });
+      return true;
+    } catch (error) {
+      throw new Error('Two-factor code verification failed');
+    }
+  },
+
+  // Generate a fresh set of single-use recovery codes (caller must save)
+  generateRecoveryCodes: function(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    this.mfa.recoveryCodes = codes.map(hashCode);
+    return codes;
+  },
+
+  // Consume a recovery code if it is valid
+  useRecoveryCode: async function(code) {
+    try {
+      const hashed = hashCode(code);
+      if (!(this.mfa.recoveryCodes || []).includes(hashed)) return false;
+
+      this.mfa.recoveryCodes = this.mfa.recoveryCodes.filter(c => c !== hashed);
+      await this.updateOne({ $pull: { 'mfa.recoveryCodes': hashed } });
+      return true;
+    } catch (error) {
+      throw new Error('Recovery code verification failed');
+    }
+  },
+
+  // Generate the secret for calendar feed URLs, replacing any previous one (caller must save)
+  generateCalendarToken: function() {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    this.calendarToken = hashCode(calendarToken);
+    return calendarToken;
+  },
+
+  // Increment login attempts, resolving to true if this attempt locked the account
   incrementLoginAttempts: async function() {
     try {
       // If lock has expired, restart count
       if (this.lockUntil && this.lockUntil < Date.now()) {
-        return await this.updateOne({
+        this.loginAttempts = 1;
+        this.lockUntil = undefined;
+        await this.updateOne({
           $set: { loginAttempts: 1 },
           $unset: { lockUntil: 1 }
         });
+        return false;
       }
       // Otherwise increment
       const updates = { $inc: { loginAttempts: 1 } };
+      let locked = false;
       // Lock the account if we've reached max attempts and haven't locked it yet
-      if (this.loginAttempts + 1 >= 5 && !this.lockUntil) {
-        updates.$set = { lockUntil: Date.now() + 3600000 }; // 1 hour lock
+      if (this.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.lockUntil) {
+        this.lockUntil = Date.now() + LOCK_TIME;
+        updates.$set = { lockUntil: this.lockUntil };
+        locked = true;
       }
-      return await this.updateOne(updates);
+      this.loginAttempts += 1;
+      await this.updateOne(updates);
+      return locked;
     } catch (error) {
       throw new Error('Failed to update login attempts');
     }
   }
 };
 
+// Errors thrown by findByCredentials carry a code so callers can tell them apart
+const credentialsError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
 // Statics
 userSchema.statics = {
   // Find user by credentials
@@ -163,17 +357,26 @@ userSchema.statics = {
     try {
       const user = await this.findOne({ username }).select('+password');
       if (!user) {
-        throw new Error('Invalid login credentials');
+        throw credentialsError('Invalid login credentials', 'INVALID_CREDENTIALS');
       }
 
       if (user.lockUntil && user.lockUntil > Date.now()) {
-        throw new Error('Account is temporarily locked');
+        throw credentialsError('Account is temporarily locked', 'ACCOUNT_LOCKED');
       }
 
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
-        await user.incrementLoginAttempts();
-        throw new Error('Invalid login credentials');
+        if (await user.incrementLoginAttempts()) {
+          // This attempt triggered the lock; hand the user back for notification
+          const error = credentialsError('Account is temporarily locked', 'ACCOUNT_LOCKED');
+          error.user = user;
+          throw error;
+        }
+        throw credentialsError('Invalid login credentials', 'INVALID_CREDENTIALS');
+      }
+
+      if (!user.isActive) {
+        throw credentialsError('Account is deactivated', 'ACCOUNT_INACTIVE');
       }
 
       // Reset login attempts on successful login
@@ -186,6 +389,35 @@ userSchema.statics = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Copy a changed email and/or active flag from a Student/Faculty profile
+  // onto its account. Called before the profile is written, in its session
+  // if it has one, so a failure here stops the profile change too.
+  // Deactivating the profile also signs the account out everywhere.
+  syncFromProfile: async function(profile, { email, activeChanged }) {
+    if (!email && !activeChanged) return;
+
+    const session = profile.$session();
+    const user = await this.findOne({ profile: profile._id }).session(session);
+    if (!user) return;
+
+    const update = { isActive: profile.isActive };
+    if (email) {
+      update.email = email;
+      update.isVerified = false;
+    }
+    await user.updateOne({ $set: update }, { session });
+
+    if (activeChanged && !profile.isActive) {
+      await Session.revokeAllForUser(user._id, undefined, { session });
+    }
+  },
+
+  // Find the active user a calendar feed token belongs to
+  findByCalendarToken: function(calendarToken) {
+    if (!/^[a-f0-9]{48}$/i.test(calendarToken || '')) return Promise.resolve(null);
+    return this.findOne({ calendarToken: hashCode(calendarToken), isActive: true });
   }
 };
 
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const ApiKey = require('../models/ApiKey');
+const { serviceScopes } = require('../utils/permissions');
+
+const loadApiKey = fromParam(ApiKey, 'id', 'API key not found');
+
+// @route   POST /api/apikeys
+// @desc    Create an API key; the key itself is only returned here
+// @access  Private (Admin only)
+router.post('/', [
+  auth.privileged,
+  authorize('apikey:manage'),
+  [
+    check('name', 'Name is required').notEmpty(),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    check('scopes.*', `Scope must be one of: ${serviceScopes.join(', ')}`).isIn(serviceScopes),
+    check('expiresAt', 'Expiry must be a future date').optional().isISO8601().toDate()
+      .custom(value => value > Date.now())
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await ApiKey.issue({
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/apikeys
+// @desc    List API keys
+// @access  Private (Admin only)
+router.get('/', [auth.privileged, authorize('apikey:manage')], async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/apikeys/:id/rotate
+// @desc    Replace an API key's secret; the old key stops working immediately
+// @access  Private (Admin only)
+router.post('/:id/rotate', [
+  auth.privileged,
+  authorize('apikey:manage', { apiKey: loadApiKey })
+], async (req, res) => {
+  try {
+    const { apiKey } = req.resources;
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({ msg: 'Cannot rotate a revoked or expired API key' });
+    }
+
+    const key = apiKey.generateSecret();
+    apiKey.rotatedAt = Date.now();
+    await apiKey.save();
+
+    res.json({ ...apiKey.toJSON(), key });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/apikeys/:id
+// @desc    Revoke an API key
+// @access  Private (Admin only)
+router.delete('/:id', [
+  auth.privileged,
+  authorize('apikey:manage', { apiKey: loadApiKey })
+], async (req, res) => {
+  try {
+    const { apiKey } = req.resources;
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ msg: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+
+    res.json({ msg: 'API key revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
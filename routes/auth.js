@@ -1,28 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
 const sendEmail = require('../utils/sendEmail');
+const { completeLogin, rotateTokens } = require('../utils/tokens');
+const { AuthError, login } = require('../utils/authService');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { provisionAdmin, sendInvitation } = require('../utils/provisioning');
+const { checkPassword, validationErrors } = require('../utils/passwordPolicy');
+
+// Email a verification link for the token just generated on the user
+const sendVerificationEmail = (user, verificationToken, req) => {
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verifyemail/${verificationToken}`;
+  const message = `Please confirm your email address by opening the following link within 24 hours: \n\n ${verifyUrl}`;
+
+  return sendEmail({
+    email: user.email,
+    subject: 'Email verification',
+    message
+  });
+};
 
 // @route   POST /api/auth/register
-// @desc    Register a user
+// @desc    Register a student account
 // @access  Public
 router.post('/register', [
   check('username', 'Username is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
-  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
-  check('role', 'Role is required').not().isEmpty()
+  checkPassword(),
+  // Staff accounts are only ever created by an admin
+  check('role', 'Only students can register themselves').optional().equals('student')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { username, email, password, role } = req.body;
+  const { username, email, password } = req.body;
 
   try {
     let user = await User.findOne({ $or: [{ email }, { username }] });
@@ -35,31 +51,26 @@ router.post('/register', [
       username,
       email,
       password,
-      role
+      role: 'student'
     });
 
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-
+    const verificationToken = user.generateVerificationToken();
     await user.save();
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '5h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    // Registration still succeeds if the mail server is down; the user can resend
+    try {
+      await sendVerificationEmail(user, verificationToken, req);
+    } catch (err) {
+      console.error(err.message);
+    }
+
+    // Same as a login, so a role that must use two-factor authentication
+    // is told to set it up
+    res.json(await completeLogin(user, req));
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: validationErrors(err) });
+    }
     console.error(err.message);
     res.status(500).send('Server error');
   }
@@ -80,34 +91,107 @@ router.post('/login', [
   const { username, password } = req.body;
 
   try {
-    let user = await User.findOne({ username }).select('+password');
+    const { tokens } = await login(username, password, req);
+    res.json(tokens);
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
 
-    if (!user) {
-      return res.status(400).json({ msg: 'Invalid Credentials' });
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    // Rotate: the presented refresh token can only be used once
+    const tokens = await rotateTokens(req.body.refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({ msg: 'Invalid refresh token' });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    res.json(tokens);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
 
-    if (!isMatch) {
-      return res.status(400).json({ msg: 'Invalid Credentials' });
+// @route   POST /api/auth/admins
+// @desc    Create an admin account and email the invitee a link to set its password
+// @access  Private (Admin only)
+router.post('/admins', [
+  auth.privileged,
+  authorize('admin:create'),
+  [
+    check('username', 'Username is required').trim().notEmpty(),
+    check('email', 'Please include a valid email').isEmail()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { username, email } = req.body;
+    if (await User.exists({ $or: [{ email }, { username }] })) {
+      return res.status(400).json({ msg: 'User already exists' });
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '5h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    const { user, inviteToken } = await provisionAdmin({ username, email });
+
+    try {
+      await sendInvitation(user, inviteToken, req);
+    } catch (err) {
+      // The account exists; the admin can still use forgot password
+      console.error(err.message);
+    }
+
+    res.status(201).json({ _id: user._id, username: user.username, email: user.email, role: user.role });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: validationErrors(err) });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session, revoking its tokens
+// @access  Private
+router.post('/logout', auth.user, async (req, res) => {
+  try {
+    await req.authSession.revoke(req.user.id);
+
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every token issued to the current user
+// @access  Private
+router.post('/logout-all', auth.user, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    await user.revokeAllTokens(req.user.id);
+
+    res.json({ msg: 'Logged out of all sessions' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -117,9 +201,15 @@ router.post('/login', [
 // @route   GET /api/auth/user
 // @desc    Get user by token
 // @access  Private
-router.get('/user', auth, async (req, res) => {
+router.get('/user', auth.user, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
+
+    // Let the client show a "viewing as" banner
+    if (req.impersonator) {
+      return res.json({ ...user.toJSON(), impersonatedBy: req.impersonator });
+    }
+
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -127,6 +217,60 @@ router.get('/user', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/verifyemail/:verifytoken
+// @desc    Verify email address
+// @access  Public
+router.get('/verifyemail/:verifytoken', async (req, res) => {
+  try {
+    const verificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.verifytoken)
+      .digest('hex');
+
+    const user = await User.findOne({
+      verificationToken,
+      verificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ msg: 'Invalid or expired verification token' });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpires = undefined;
+    await user.save();
+
+    res.json({ msg: 'Email verified' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/resendverification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resendverification', auth.user, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ msg: 'Email is already verified' });
+    }
+
+    const verificationToken = user.generateVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken, req);
+
+    res.json({ msg: 'Email sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   POST /api/auth/forgotpassword
 // @desc    Forgot password
 // @access  Public
@@ -152,7 +296,7 @@ router.post('/forgotpassword', [
       .createHash('sha256')
       .update(resetToken)
       .digest('hex');
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+    user.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
 
     await user.save();
 
@@ -169,7 +313,7 @@ router.post('/forgotpassword', [
   } catch (err) {
     console.error(err.message);
     user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+    user.resetPasswordExpires = undefined;
     await user.save();
     res.status(500).send('Server error');
   }
@@ -178,7 +322,14 @@ router.post('/forgotpassword', [
 // @route   PUT /api/auth/resetpassword/:resettoken
 // @desc    Reset password
 // @access  Public
-router.put('/resetpassword/:resettoken', async (req, res) => {
+router.put('/resetpassword/:resettoken', [
+  checkPassword()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const resetPasswordToken = crypto
       .createHash('sha256')
@@ -187,7 +338,7 @@ router.put('/resetpassword/:resettoken', async (req, res) => {
 
     const user = await User.findOne({
       resetPasswordToken,
-      resetPasswordExpire: { $gt: Date.now() }
+      resetPasswordExpires: { $gt: Date.now() }
     });
 
     if (!user) {
@@ -197,11 +348,20 @@ router.put('/resetpassword/:resettoken', async (req, res) => {
     // Set new password
     user.password = req.body.password;
     user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+    user.resetPasswordExpires = undefined;
+    // The token arrived by email, so the address is proven
+    user.isVerified = true;
+
     await user.save();
 
+    // Log out everywhere: a reset usually means the old password leaked
+    await user.revokeAllTokens();
+
     res.json({ msg: 'Password updated' });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ errors: validationErrors(err) });
+    }
     console.error(err.message);
     res.status(500).send('Server error');
   }
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const User = require('../models/User');
+const Offering = require('../models/Offering');
+const Term = require('../models/Term');
+const { resolveProfile } = require('../utils/permissions');
+const { studentCalendar, facultyCalendar, roomCalendar } = require('../utils/ical');
+
+const feedUrls = (req, token) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}`;
+  return {
+    personal: `${base}/personal.ics`,
+    room: `${base}/rooms/{room}.ics`
+  };
+};
+
+// Resolve the :token in a feed URL to its user, or answer 404
+const feedUser = async (req, res, next) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ msg: 'Calendar feed not found' });
+    }
+    req.feedUser = user;
+  } catch (err) {
+    console.error(err.message);
+    return res.status(500).send('Server Error');
+  }
+
+  next();
+};
+
+// Active offerings in terms that haven't finished, with what the feeds show
+const currentOfferings = async (filter) => {
+  const terms = await Term.find({ status: { $ne: 'completed' } }).distinct('_id');
+  return Offering.find({ ...filter, term: { $in: terms }, status: 'active' })
+    .select('course term section schedule assessments')
+    .populate('course', 'courseCode courseName')
+    .populate('term', 'startDate endDate');
+};
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=900'
+  });
+  res.send(calendar);
+};
+
+// @route   POST /api/calendar/token
+// @desc    Create or replace the secret token for the user's calendar feed URLs
+// @access  Private
+router.post('/token', [auth, authorize('calendar:subscribe')], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const token = user.generateCalendarToken();
+    await user.save();
+
+    res.json({ token, feeds: feedUrls(req, token) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/calendar/token
+// @desc    Revoke the user's calendar feed URLs
+// @access  Private
+router.delete('/token', [auth, authorize('calendar:subscribe')], async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+    res.json({ msg: 'Calendar feed token revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/calendar/feeds/:token/personal.ics
+// @desc    Student's or faculty member's own schedule as an iCalendar feed
+// @access  Public (secret token)
+router.get('/feeds/:token/personal.ics', feedUser, async (req, res) => {
+  try {
+    const { feedUser: user } = req;
+
+    const profile = await resolveProfile({ id: user.id, role: user.role });
+    if (!profile) {
+      return res.status(404).json({ msg: 'No personal calendar for this account' });
+    }
+
+    if (user.role === 'student') {
+      const offerings = await currentOfferings({
+        enrolledStudents: { $elemMatch: { student: profile._id, grade: { $ne: 'W' } } }
+      });
+      return sendCalendar(res, 'classes.ics', studentCalendar(profile, offerings));
+    }
+
+    const offerings = await currentOfferings({ faculty: profile._id });
+    sendCalendar(res, 'teaching.ics', facultyCalendar(profile, offerings));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/calendar/feeds/:token/rooms/:room.ics
+// @desc    Every class held in a room as an iCalendar feed
+// @access  Public (secret token)
+router.get('/feeds/:token/rooms/:room.ics', feedUser, async (req, res) => {
+  try {
+    const { room } = req.params;
+
+    const offerings = await currentOfferings({ 'schedule.room': room });
+    sendCalendar(res, `room-${room.replace(/[^\w-]/g, '_')}.ics`, roomCalendar(room, offerings));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -2,22 +2,42 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const { can } = require('../utils/permissions');
+const deprecated = require('../middleware/deprecated');
+const { currentOffering } = deprecated;
 const Course = require('../models/Course');
-const Faculty = require('../models/Faculty');
-const Student = require('../models/Student');
+const { LETTER_GRADES } = require('../models/GradingScale');
+const Offering = require('../models/Offering');
+const { enrollSelf, gradeValidators, updateGrade } = require('./offerings');
+
+const loadCourse = fromParam(Course, 'id', 'Course not found');
+
+// What department faculty may change on a course; the rest is admin only
+const FACULTY_EDITABLE_FIELDS = ['description', 'syllabus'];
+// The deprecated enrollment and grade routes act on the course's offering in the current term
+const loadEnrollOffering = currentOffering('id', '/api/offerings/:id/enroll');
+const loadGradeOffering = currentOffering('id', '/api/offerings/:id/grade/:studentId',
+  (req, offering) => offering.isEnrolled(req.params.studentId));
 
 // @route   POST /api/courses
-// @desc    Create a new course
+// @desc    Add a course to the catalog
 // @access  Private (Admin/Faculty)
 router.post('/', [
-  auth,
+  auth.privileged,
+  authorize('course:create'),
   [
     check('courseCode', 'Course code is required').notEmpty(),
     check('courseName', 'Course name is required').notEmpty(),
     check('department', 'Department is required').notEmpty(),
     check('credits', 'Credits must be between 1 and 6').isInt({ min: 1, max: 6 }),
     check('semester', 'Semester must be between 1 and 8').isInt({ min: 1, max: 8 }),
-    check('capacity', 'Capacity must be a positive number').isInt({ min: 1 })
+    check(['prerequisites.*', 'corequisites.*', 'prerequisiteGroups.*.courses.*'], 'Requisites must be course ids')
+      .isMongoId(),
+    check('prerequisiteMinGrade', `Minimum grade must be one of: ${LETTER_GRADES.join(', ')}`)
+      .optional()
+      .isIn(LETTER_GRADES)
   ]
 ], async (req, res) => {
   try {
@@ -26,15 +46,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if user has permission to create course
-    if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
-      return res.status(403).json({ msg: 'Not authorized to create courses' });
-    }
-
-    const newCourse = new Course({
-      ...req.body,
-      faculty: req.body.faculty || []
-    });
+    const newCourse = new Course(req.body);
 
     const course = await newCourse.save();
     res.status(201).json(course);
@@ -55,7 +67,6 @@ router.get('/', async (req, res) => {
     const {
       department,
       semester,
-      faculty,
       status,
       search
     } = req.query;
@@ -65,7 +76,6 @@ router.get('/', async (req, res) => {
     // Add filters if they exist
     if (department) query.department = department;
     if (semester) query.semester = semester;
-    if (faculty) query.faculty = faculty;
     if (status) query.status = status;
     if (search) {
       query.$or = [
@@ -75,7 +85,6 @@ router.get('/', async (req, res) => {
     }
 
     const courses = await Course.find(query)
-      .populate('faculty', 'firstName lastName email')
       .populate('prerequisites', 'courseCode courseName')
       .sort({ courseCode: 1 });
 
@@ -92,9 +101,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
-      .populate('faculty', 'firstName lastName email')
-      .populate('prerequisites', 'courseCode courseName')
-      .populate('enrolledStudents.student', 'name rollNumber');
+      .populate('prerequisites corequisites prerequisiteGroups.courses', 'courseCode courseName');
 
     if (!course) {
       return res.status(404).json({ msg: 'Course not found' });
@@ -111,22 +118,16 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   PUT /api/courses/:id
-// @desc    Update course
-// @access  Private (Admin/Faculty)
-router.put('/:id', [auth], async (req, res) => {
+// @desc    Update course; department faculty may change only its description and syllabus
+// @access  Private (Admin/Department faculty)
+router.put('/:id', [auth.privileged, authorize('course:update', { course: loadCourse })], async (req, res) => {
   try {
-    let course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
-    }
-
-    // Check if user has permission to update course
-    if (req.user.role !== 'admin' && 
-        !course.faculty.includes(req.user.id)) {
-      return res.status(403).json({ msg: 'Not authorized to update this course' });
+    const catalogChange = Object.keys(req.body).some(field => !FACULTY_EDITABLE_FIELDS.includes(field));
+    if (catalogChange && !can(req.user, 'course:update-catalog', req.resources)) {
+      return res.status(403).json({ msg: 'Faculty can only update a course\'s description and syllabus' });
     }
 
-    course = await Course.findByIdAndUpdate(
+    const course = await Course.findByIdAndUpdate(
       req.params.id,
       { $set: req.body },
       { new: true, runValidators: true }
@@ -145,22 +146,16 @@ router.put('/:id', [auth], async (req, res) => {
 // @route   DELETE /api/courses/:id
 // @desc    Delete course
 // @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth.privileged, authorize('course:delete', { course: loadCourse })], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to delete courses' });
-    }
-
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
-    }
+    const { course } = req.resources;
 
-    if (course.enrolledStudents.length > 0) {
-      return res.status(400).json({ msg: 'Cannot delete course with enrolled students' });
+    // Past offerings hold students' grades
+    if (await Offering.exists({ course: course._id })) {
+      return res.status(400).json({ msg: 'Cannot delete a course that has been offered, archive it instead' });
     }
 
-    await course.remove();
+    await course.deleteOne();
     res.json({ msg: 'Course removed' });
   } catch (err) {
     console.error(err.message);
@@ -171,90 +166,44 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/courses/:id/enroll
-// @desc    Enroll student in course
-// @access  Private (Student)
-router.post('/:id/enroll', auth, async (req, res) => {
+// @route   GET /api/courses/:id/offerings
+// @desc    Get every offering of a course, newest term first
+// @access  Public
+router.get('/:id/offerings', async (req, res) => {
   try {
-    if (req.user.role !== 'student') {
-      return res.status(403).json({ msg: 'Only students can enroll in courses' });
-    }
-
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
-    }
+    const offerings = await Offering.find({ course: req.params.id })
+      .select('-enrolledStudents -waitlist')
+      .populate('term', 'code name startDate endDate')
+      .populate('faculty', 'firstName lastName email');
+    offerings.sort((a, b) => b.term.startDate - a.term.startDate || a.section.localeCompare(b.section));
 
-    // Check if course is full
-    if (course.enrolledStudents.length >= course.capacity) {
-      return res.status(400).json({ msg: 'Course is full' });
-    }
-
-    // Check if student is already enrolled
-    if (course.enrolledStudents.some(
-      enrollment => enrollment.student.toString() === req.user.id
-    )) {
-      return res.status(400).json({ msg: 'Already enrolled in this course' });
-    }
-
-    course.enrolledStudents.push({
-      student: req.user.id,
-      enrollmentDate: Date.now()
-    });
-
-    await course.save();
-    res.json(course);
+    res.json(offerings);
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Course not found' });
+    }
     res.status(500).send('Server Error');
   }
 });
 
-// @route   PUT /api/courses/:id/grade/:studentId
-// @desc    Update student's grade
-// @access  Private (Faculty)
-router.put('/:id/grade/:studentId', [
+// @route   POST /api/courses/:id/enroll
+// @desc    Deprecated alias of POST /api/offerings/:id/enroll for the current term
+// @access  Private (Student)
+router.post('/:id/enroll', [
+  deprecated('/api/offerings/:id/enroll'),
   auth,
-  [
-    check('grade', 'Grade is required').notEmpty()
-      .isIn(['A+', ' A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F'])
-  ]
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const course = await Course.findById(req.params.id);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
-    }
-
-    // Check if user has permission to update grades
-    if (req.user.role !== 'faculty' && 
-        !course.faculty.includes(req.user.id)) {
-      return res.status(403).json({ msg: 'Not authorized to update grades' });
-    }
-
-    const studentId = req.params.studentId;
-    const grade = req.body.grade;
-
-    const enrollmentIndex = course.enrolledStudents.findIndex(
-      enrollment => enrollment.student.toString() === studentId
-    );
-
-    if (enrollmentIndex === -1) {
-      return res.status(404).json({ msg: 'Student not found in this course' });
-    }
+  authorize('course:enroll-self', { offering: loadEnrollOffering })
+], enrollSelf);
 
-    course.enrolledStudents[enrollmentIndex].grade = grade;
-    await course.save();
-    res.json(course);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
-  }
-});
+// @route   PUT /api/courses/:id/grade/:studentId
+// @desc    Deprecated alias of PUT /api/offerings/:id/grade/:studentId for the current term
+// @access  Private (Admin/Offering faculty)
+router.put('/:id/grade/:studentId', [
+  deprecated('/api/offerings/:id/grade/:studentId'),
+  auth.privileged,
+  authorize('grade:write', { offering: loadGradeOffering }),
+  gradeValidators
+], updateGrade);
 
 module.exports = router;
\ No newline at end of file
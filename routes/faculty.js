@@ -2,14 +2,29 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const deprecated = require('../middleware/deprecated');
+const { currentOffering } = deprecated;
+const { fromParam } = authorize;
+const { can } = require('../utils/permissions');
 const Faculty = require('../models/Faculty');
-const Course = require('../models/Course');
+const Offering = require('../models/Offering');
+const User = require('../models/User');
+const { provisionFaculty, sendInvitation, removeAccount } = require('../utils/provisioning');
+const { findFacultyConflicts, conflictsAllowed, withConflictWarnings } = require('../utils/scheduleConflicts');
+
+const loadFaculty = fromParam(Faculty, 'id', 'Faculty member not found');
+const loadOffering = fromParam(Offering, 'offeringId', 'Course offering not found', 'course');
+// The deprecated /courses/:courseId routes act on the section the faculty member teaches
+const loadCurrentOffering = currentOffering('courseId', '/api/faculty/:id/offerings/:offeringId',
+  (req, offering) => offering.faculty.some(id => id.equals(req.params.id)));
 
 // @route   POST /api/faculty
 // @desc    Create a new faculty member
 // @access  Private (Admin only)
 router.post('/', [
-  auth,
+  auth.privileged,
+  authorize('faculty:create'),
   [
     check('employeeId', 'Employee ID is required').notEmpty(),
     check('firstName', 'First name is required').notEmpty(),
@@ -21,11 +36,6 @@ router.post('/', [
   ]
 ], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to create faculty members' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -34,17 +44,31 @@ router.post('/', [
     const { employeeId, email } = req.body;
 
     // Check if faculty already exists
-    let faculty = await Faculty.findOne({ $or: [{ employeeId }, { email }] });
-    if (faculty) {
+    const existing = await Faculty.findOne({ $or: [{ employeeId }, { email }] });
+    if (existing) {
       return res.status(400).json({ msg: 'Faculty member already exists' });
     }
 
-    faculty = new Faculty(req.body);
-    await faculty.save();
+    if (await User.exists({ $or: [{ username: employeeId }, { email }] })) {
+      return res.status(400).json({ msg: 'A user account with this employee ID or email already exists' });
+    }
+
+    // Creates the faculty member and their linked User account together
+    const { profile: faculty, user, inviteToken } = await provisionFaculty(req.body);
+
+    try {
+      await sendInvitation(user, inviteToken, req);
+    } catch (err) {
+      // The account exists; the faculty member can still use forgot password
+      console.error(err.message);
+    }
 
     res.status(201).json(faculty);
   } catch (err) {
     console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Faculty member already exists' });
+    }
     res.status(500).send('Server Error');
   }
 });
@@ -52,9 +76,9 @@ router.post('/', [
 // @route   GET /api/faculty
 // @desc    Get all faculty members
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, authorize('faculty:read')], async (req, res) => {
   try {
-    const faculty = await Faculty.find().select('-password').sort({ lastName: 1 });
+    const faculty = await Faculty.find().sort({ lastName: 1 });
     res.json(faculty);
   } catch (err) {
     console.error(err.message);
@@ -65,9 +89,9 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/faculty/:id
 // @desc    Get faculty member by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [auth, authorize('faculty:read')], async (req, res) => {
   try {
-    const faculty = await Faculty.findById(req.params.id).select('-password');
+    const faculty = await Faculty.findById(req.params.id);
     if (!faculty) {
       return res.status(404).json({ msg: 'Faculty member not found' });
     }
@@ -84,16 +108,15 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/faculty/:id
 // @desc    Update faculty member
 // @access  Private (Admin or Self)
-router.put('/:id', [auth], async (req, res) => {
+router.put('/:id', [auth, authorize('faculty:update', { faculty: loadFaculty })], async (req, res) => {
   try {
-    let faculty = await Faculty.findById(req.params.id);
-    if (!faculty) {
-      return res.status(404).json({ msg: 'Faculty member not found' });
-    }
+    const { faculty } = req.resources;
 
-    // Check if user has permission to update
-    if (req.user.role !== 'admin' && req.user.id !== faculty.id) {
-      return res.status(403).json({ msg: 'Not authorized to update this faculty member' });
+    // A department head reviews their department's grade changes, so only
+    // admins may move faculty between departments or appoint heads
+    const appointing = ['department', 'isHeadOfDepartment'].some(field => req.body[field] !== undefined);
+    if (appointing && !can(req.user, 'faculty:appoint')) {
+      return res.status(403).json({ msg: 'Only admins can change departments or appoint heads of department' });
     }
 
     // Update fields
@@ -114,24 +137,18 @@ router.put('/:id', [auth], async (req, res) => {
 // @route   DELETE /api/faculty/:id
 // @desc    Delete faculty member
 // @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth.privileged, authorize('faculty:delete', { faculty: loadFaculty })], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to delete faculty members' });
-    }
+    const { faculty } = req.resources;
 
-    const faculty = await Faculty.findById(req.params.id);
-    if (!faculty) {
-      return res.status(404).json({ msg: 'Faculty member not found' });
-    }
-
-    // Remove faculty from associated courses
-    await Course.updateMany(
+    // Remove faculty from associated offerings
+    await Offering.updateMany(
       { faculty: faculty._id },
       { $pull: { faculty: faculty._id } }
     );
 
-    await faculty.remove();
+    await removeAccount(faculty);
+    await faculty.deleteOne();
     res.json({ msg: 'Faculty member removed' });
   } catch (err) {
     console.error(err.message);
@@ -142,87 +159,110 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/faculty/:id/courses
-// @desc    Get courses taught by faculty member
+// @route   GET /api/faculty/:id/offerings
+// @desc    Get course offerings taught by faculty member, optionally for one term
 // @access  Private
-router.get('/:id/courses', auth, async (req, res) => {
+const listOfferings = async (req, res) => {
   try {
-    const courses = await Course.find({ faculty: req.params.id })
-      .populate('faculty', 'firstName lastName')
-      .sort({ courseCode: 1 });
+    const query = { faculty: req.params.id };
+    if (req.query.term) query.term = req.query.term;
 
-    res.json(courses);
+    const offerings = await Offering.find(query)
+      .select('-enrolledStudents -waitlist')
+      .populate('course', 'courseCode courseName credits')
+      .populate('term', 'code name startDate')
+      .populate('faculty', 'firstName lastName');
+    offerings.sort((a, b) =>
+      b.term.startDate - a.term.startDate || a.course.courseCode.localeCompare(b.course.courseCode));
+
+    res.json(offerings);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
-});
+};
 
-// @route   POST /api/faculty/:id/courses/:courseId
-// @desc    Assign course to faculty member
+router.get('/:id/offerings', [auth, authorize('faculty:read')], listOfferings);
+
+// @route   GET /api/faculty/:id/courses
+// @desc    Deprecated alias of GET /api/faculty/:id/offerings
+// @access  Private
+router.get('/:id/courses', [deprecated('/api/faculty/:id/offerings'), auth, authorize('faculty:read')], listOfferings);
+
+// @route   POST /api/faculty/:id/offerings/:offeringId
+// @desc    Assign course offering to faculty member
 // @access  Private (Admin only)
-router.post('/:id/courses/:courseId', auth, async (req, res) => {
+const assignOffering = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to assign courses' });
-    }
-
-    const faculty = await Faculty.findById(req.params.id);
-    if (!faculty) {
-      return res.status(404).json({ msg: 'Faculty member not found' });
-    }
+    const { faculty, offering } = req.resources;
 
-    const course = await Course.findById(req.params.courseId);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
+    if (offering.faculty.includes(faculty._id)) {
+      return res.status(400).json({ msg: 'Faculty already assigned to this course offering' });
     }
 
-    if (course.faculty.includes(faculty._id)) {
-      return res.status(400).json({ msg: 'Faculty already assigned to this course' });
+    const conflicts = await findFacultyConflicts(offering, [faculty._id]);
+    if (conflicts.length > 0 && !conflictsAllowed(req)) {
+      return res.status(409).json({ msg: 'Schedule conflict', conflicts });
     }
 
-    course.faculty.push(faculty._id);
-    await course.save();
+    offering.faculty.push(faculty._id);
+    await offering.save();
 
-    res.json(course);
+    res.json(withConflictWarnings(offering, conflicts));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
-});
+};
 
-// @route   DELETE /api/faculty/:id/courses/:courseId
-// @desc    Remove course from faculty member
-// @access  Private (Admin only)
-router.delete('/:id/courses/:courseId', auth, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to remove course assignments' });
-    }
+router.post('/:id/offerings/:offeringId', [
+  auth.privileged,
+  authorize('faculty:assign-course', { faculty: loadFaculty, offering: loadOffering })
+], assignOffering);
 
-    const faculty = await Faculty.findById(req.params.id);
-    if (!faculty) {
-      return res.status(404).json({ msg: 'Faculty member not found' });
-    }
+// @route   POST /api/faculty/:id/courses/:courseId
+// @desc    Deprecated alias of POST /api/faculty/:id/offerings/:offeringId for the current term
+// @access  Private (Admin only)
+router.post('/:id/courses/:courseId', [
+  deprecated('/api/faculty/:id/offerings/:offeringId'),
+  auth.privileged,
+  authorize('faculty:assign-course', { faculty: loadFaculty, offering: loadCurrentOffering })
+], assignOffering);
 
-    const course = await Course.findById(req.params.courseId);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
-    }
+// @route   DELETE /api/faculty/:id/offerings/:offeringId
+// @desc    Remove course offering from faculty member
+// @access  Private (Admin only)
+const unassignOffering = async (req, res) => {
+  try {
+    const { faculty, offering } = req.resources;
 
-    const index = course.faculty.indexOf(faculty._id);
+    const index = offering.faculty.indexOf(faculty._id);
     if (index === -1) {
-      return res.status(400).json({ msg: 'Faculty not assigned to this course' });
+      return res.status(400).json({ msg: 'Faculty not assigned to this course offering' });
     }
 
-    course.faculty.splice(index, 1);
-    await course.save();
+    offering.faculty.splice(index, 1);
+    await offering.save();
 
-    res.json(course);
+    res.json(offering);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
-});
+};
+
+router.delete('/:id/offerings/:offeringId', [
+  auth.privileged,
+  authorize('faculty:unassign-course', { faculty: loadFaculty, offering: loadOffering })
+], unassignOffering);
+
+// @route   DELETE /api/faculty/:id/courses/:courseId
+// @desc    Deprecated alias of DELETE /api/faculty/:id/offerings/:offeringId for the current term
+// @access  Private (Admin only)
+router.delete('/:id/courses/:courseId', [
+  deprecated('/api/faculty/:id/offerings/:offeringId'),
+  auth.privileged,
+  authorize('faculty:unassign-course', { faculty: loadFaculty, offering: loadCurrentOffering })
+], unassignOffering);
 
 module.exports = router;
\ No newline at end of file
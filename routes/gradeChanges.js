@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const { can } = require('../utils/permissions');
+const GradeChangeRequest = require('../models/GradeChangeRequest');
+const { ReviewConflictError } = GradeChangeRequest;
+const Offering = require('../models/Offering');
+const Faculty = require('../models/Faculty');
+const GradingScale = require('../models/GradingScale');
+const { LETTER_GRADES } = GradingScale;
+const sendEmail = require('../utils/sendEmail');
+
+const loadGradeChange = fromParam(GradeChangeRequest, 'id', 'Grade change request not found');
+
+// The offering a new request is for comes from the body
+const loadRequestedOffering = {
+  load: req => Offering.findById(req.body.offering).populate('course'),
+  notFound: 'Course offering not found'
+};
+
+const REQUEST_DETAILS = [
+  {
+    path: 'offering',
+    select: 'course term section',
+    populate: [{ path: 'course', select: 'courseCode courseName' }, { path: 'term', select: 'code name' }]
+  },
+  { path: 'student', select: 'rollNumber name' },
+  { path: 'requestedBy reviewedBy', select: 'username role' }
+];
+
+// Let the department's heads know a request is waiting for them. Email
+// failures are logged, not thrown.
+const notifyHeads = async (gradeChange, offering) => {
+  const heads = await Faculty.find({ department: gradeChange.department, isHeadOfDepartment: true });
+  const { course } = offering;
+  const message = `A grade change from ${gradeChange.currentGrade} to ${gradeChange.requestedGrade} has been requested ` +
+    `in ${course.courseCode} - ${course.courseName} (section ${offering.section}).\n\n` +
+    `Justification: ${gradeChange.justification}`;
+
+  for (const head of heads) {
+    try {
+      await sendEmail({ email: head.email, subject: `Grade change request for ${course.courseCode}`, message });
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+};
+
+// @route   POST /api/grade-changes
+// @desc    Request a change to a grade in a term whose results are published
+// @access  Private (Admin/Offering faculty)
+router.post('/', [
+  auth.privileged,
+  authorize('grade-change:request', { offering: loadRequestedOffering }),
+  [
+    check('student', 'Student is required').isMongoId(),
+    check('grade', `Grade must be one of: ${[...LETTER_GRADES, 'I'].join(', ')}`)
+      .isIn([...LETTER_GRADES, 'I']),
+    check('justification', 'A justification is required').trim().notEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { offering } = req.resources;
+    const { student, grade, justification } = req.body;
+
+    if (!(await offering.gradesLocked())) {
+      return res.status(400).json({ msg: 'Results for this term are not published yet, update the grade directly' });
+    }
+
+    const enrollment = offering.findEnrollment(student);
+    if (!enrollment) {
+      return res.status(404).json({ msg: 'Student not found in this course' });
+    }
+    if (enrollment.grade === 'W') {
+      return res.status(400).json({ msg: 'Student has withdrawn from this course' });
+    }
+    if (enrollment.grade === grade) {
+      return res.status(400).json({ msg: `Student already has a grade of ${grade}` });
+    }
+
+    const scale = await GradingScale.forDepartment(offering.course.department);
+    if (grade !== 'I' && !scale.hasLetter(grade)) {
+      return res.status(400).json({ msg: `${grade} is not a grade on the ${scale.name}` });
+    }
+
+    const gradeChange = await GradeChangeRequest.create({
+      offering: offering._id,
+      student: enrollment.student,
+      department: offering.course.department,
+      currentGrade: enrollment.grade,
+      requestedGrade: grade,
+      justification,
+      requestedBy: req.user.id
+    });
+
+    await notifyHeads(gradeChange, offering);
+
+    res.status(201).json(gradeChange);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A grade change request for this student is already pending' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/grade-changes
+// @desc    List the grade change requests the user filed or can review
+// @access  Private (Admin/Faculty)
+router.get('/', [auth.privileged, authorize('grade-change:read')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.offering) query.offering = req.query.offering;
+
+    // Faculty see their own requests plus, for heads, their department's
+    if (!can(req.user, 'grade-change:review-any')) {
+      const { profile } = req.resources;
+      query.$or = [{ requestedBy: req.user.id }];
+      if (profile && profile.isHeadOfDepartment) {
+        query.$or.push({ department: profile.department });
+      }
+    }
+
+    const gradeChanges = await GradeChangeRequest.find(query)
+      .populate(REQUEST_DETAILS)
+      .sort({ createdAt: -1 });
+    res.json(gradeChanges);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ msg: 'Invalid offering id' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Why the user can't review a request, if they can't
+const reviewProblem = (gradeChange, user) => {
+  if (gradeChange.status !== 'pending') {
+    return { status: 400, msg: `Request has already been ${gradeChange.status}` };
+  }
+  if (gradeChange.requestedBy.equals(user.id)) {
+    return { status: 403, msg: 'Grade change requests must be reviewed by someone else' };
+  }
+  return null;
+};
+
+// @route   POST /api/grade-changes/:id/approve
+// @desc    Approve a pending request and apply the new grade
+// @access  Private (Admin/Head of department)
+router.post('/:id/approve', [
+  auth.privileged,
+  authorize('grade-change:review', { gradeChange: loadGradeChange }),
+  [
+    check('note').optional().trim()
+  ]
+], async (req, res) => {
+  try {
+    const { gradeChange } = req.resources;
+
+    const problem = reviewProblem(gradeChange, req.user);
+    if (problem) {
+      return res.status(problem.status).json({ msg: problem.msg });
+    }
+
+    await gradeChange.approve(req.user.id, req.body.note);
+
+    await gradeChange.populate(REQUEST_DETAILS);
+    res.json(gradeChange);
+  } catch (err) {
+    if (err instanceof ReviewConflictError) {
+      return res.status(409).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/grade-changes/:id/reject
+// @desc    Reject a pending request, leaving the grade unchanged
+// @access  Private (Admin/Head of department)
+router.post('/:id/reject', [
+  auth.privileged,
+  authorize('grade-change:review', { gradeChange: loadGradeChange }),
+  [
+    check('note', 'A note explaining the rejection is required').trim().notEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { gradeChange } = req.resources;
+
+    const problem = reviewProblem(gradeChange, req.user);
+    if (problem) {
+      return res.status(problem.status).json({ msg: problem.msg });
+    }
+
+    await gradeChange.reject(req.user.id, req.body.note);
+
+    await gradeChange.populate(REQUEST_DETAILS);
+    res.json(gradeChange);
+  } catch (err) {
+    if (err instanceof ReviewConflictError) {
+      return res.status(409).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const GradingScale = require('../models/GradingScale');
+const { LETTER_GRADES } = GradingScale;
+
+const loadScale = fromParam(GradingScale, 'id', 'Grading scale not found');
+
+const scaleValidators = [
+  check('name', 'Name is required').notEmpty(),
+  check('department', 'Department must be text').optional({ values: 'null' }).isString(),
+  check('grades', 'Grades must be a non-empty list').isArray({ min: 1 }),
+  check('grades.*.letter', `Letter must be one of: ${LETTER_GRADES.join(', ')}`).isIn(LETTER_GRADES),
+  check('grades.*.points', 'Grade points must be between 0 and 10').isFloat({ min: 0, max: 10 }).toFloat(),
+  check('grades.*.minMarks', 'Minimum marks must be between 0 and 100').isFloat({ min: 0, max: 100 }).toFloat(),
+  check('grades.*.share', 'Share must be a percentage').optional().isFloat({ min: 0, max: 100 }).toFloat()
+];
+
+const duplicateMsg = department => department
+  ? `A grading scale already exists for ${department}`
+  : 'An institution-wide grading scale already exists';
+
+// @route   POST /api/grading-scales
+// @desc    Create the institution-wide scale (no department) or a department's scale
+// @access  Private (Admin only)
+router.post('/', [auth.privileged, authorize('grading-scale:manage'), scaleValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, department, grades } = req.body;
+
+  try {
+    const scale = await GradingScale.create({ name, department: department || null, grades });
+    res.status(201).json(scale);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: duplicateMsg(department) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/grading-scales
+// @desc    List saved grading scales
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const scales = await GradingScale.find().sort({ department: 1 });
+    res.json(scales);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/grading-scales/effective
+// @desc    Get the scale that applies to a department (?department=), or the institution's
+// @access  Public
+router.get('/effective', async (req, res) => {
+  try {
+    res.json(await GradingScale.forDepartment(req.query.department));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/grading-scales/:id
+// @desc    Get grading scale by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({ msg: 'Grading scale not found' });
+    }
+    res.json(scale);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Grading scale not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/grading-scales/:id
+// @desc    Replace a grading scale. Grades already recorded keep their letters.
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth.privileged,
+  authorize('grading-scale:manage', { scale: loadScale }),
+  scaleValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { scale } = req.resources;
+  const { name, department, grades } = req.body;
+
+  try {
+    scale.set({ name, department: department || null, grades });
+    await scale.save();
+    res.json(scale);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: duplicateMsg(department) });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/grading-scales/:id
+// @desc    Delete a grading scale; its department falls back to the institution's
+// @access  Private (Admin only)
+router.delete('/:id', [
+  auth.privileged,
+  authorize('grading-scale:manage', { scale: loadScale })
+], async (req, res) => {
+  try {
+    await req.resources.scale.deleteOne();
+    res.json({ msg: 'Grading scale removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const User = require('../models/User');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { issueImpersonationToken } = require('../utils/tokens');
+
+const loadUser = fromParam(User, 'userId', 'User not found');
+
+// @route   GET /api/auth/impersonate/logs
+// @desc    View the impersonation audit trail
+// @access  Private (Admin only)
+router.get('/logs', [auth.privileged, authorize('impersonation:audit')], async (req, res) => {
+  try {
+    const { impersonator, user, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (impersonator) query.impersonator = impersonator;
+    if (user) query.user = user;
+
+    const logs = await ImpersonationLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('impersonator', 'username email')
+      .populate('user', 'username email role');
+
+    const total = await ImpersonationLog.countDocuments(query);
+
+    res.json({
+      logs,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/auth/impersonate/:userId
+// @desc    Get a time-limited token to view the app as another user
+// @access  Private (Admin only)
+router.post('/:userId', [
+  auth.privileged,
+  authorize('user:impersonate', { account: loadUser })
+], async (req, res) => {
+  try {
+    const { account } = req.resources;
+
+    if (!account.isActive) {
+      return res.status(400).json({ msg: 'Cannot impersonate a deactivated account' });
+    }
+
+    const token = issueImpersonationToken(account, req);
+
+    await ImpersonationLog.create({
+      impersonator: req.user.id,
+      user: account._id,
+      action: 'start',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      token,
+      impersonating: {
+        id: account.id,
+        username: account.username,
+        role: account.role
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
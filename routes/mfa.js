@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const { check, oneOf, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { issueTokens, verifyMfaToken, getMfaRequiredRoles } = require('../utils/tokens');
+const { recordFailedAttempt } = require('../utils/authService');
+
+const MFA_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.lastUsedStep +mfa.recoveryCodes';
+
+// Accept either a TOTP code or a recovery code
+const codeOrRecoveryCode = oneOf([
+  check('code', 'A 6 digit code is required').matches(/^\d{6}$/),
+  check('recoveryCode', 'Recovery code is required').notEmpty()
+], { message: 'A 6 digit code or a recovery code is required' });
+
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) return user.verifyMfaCode(code);
+  return user.useRecoveryCode(recoveryCode);
+};
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start TOTP enrolment and return the secret and otpauth URI
+// @access  Private
+router.post('/setup', auth.user, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totp.otpauthURI(secret, user.email || user.username)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private
+router.post('/enable', [
+  auth.user,
+  [
+    check('code', 'A 6 digit code is required').matches(/^\d{6}$/)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.mfa.pendingSecret) {
+      return res.status(400).json({ msg: 'Start two-factor setup first' });
+    }
+
+    if (!(await user.verifyMfaCode(req.body.code, user.mfa.pendingSecret))) {
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.enabledAt = Date.now();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ msg: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Second login step: exchange an mfa pending token and code for tokens
+// @access  Public
+router.post('/verify', [
+  check('mfaToken', 'MFA token is required').notEmpty(),
+  codeOrRecoveryCode
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let userId;
+  try {
+    userId = verifyMfaToken(req.body.mfaToken);
+  } catch (err) {
+    return res.status(401).json({ msg: 'MFA token is not valid' });
+  }
+
+  try {
+    const user = await User.findById(userId).select(MFA_FIELDS);
+
+    if (!user || !user.mfa.enabled) {
+      return res.status(401).json({ msg: 'MFA token is not valid' });
+    }
+
+    if (user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(423).json({ msg: 'Account is temporarily locked' });
+    }
+
+    if (!(await checkSecondFactor(user, req.body))) {
+      await recordFailedAttempt(user);
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    await user.updateOne({
+      $set: { loginAttempts: 0 },
+      $unset: { lockUntil: 1 }
+    });
+
+    res.json(await issueTokens(user, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/recovery-codes', [
+  auth.user,
+  [
+    check('code', 'A 6 digit code is required').matches(/^\d{6}$/)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.verifyMfaCode(req.body.code))) {
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', [auth.user, codeOrRecoveryCode], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const requiredRoles = await getMfaRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    if (!(await checkSecondFactor(user, req.body))) {
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.secret = undefined;
+    user.mfa.lastUsedStep = undefined;
+    user.mfa.recoveryCodes = [];
+    user.mfa.enabledAt = undefined;
+    await user.save();
+
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
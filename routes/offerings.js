@@ -0,0 +1,753 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const Course = require('../models/Course');
+const Offering = require('../models/Offering');
+const Term = require('../models/Term');
+const GradingScale = require('../models/GradingScale');
+const { LETTER_GRADES } = GradingScale;
+const { promoteAndNotify } = require('../utils/waitlist');
+const { addingAllowed, leaveOutcome } = require('../utils/enrollmentDeadlines');
+const {
+  findOfferingConflicts,
+  findStudentConflicts,
+  findAllClashes,
+  conflictsAllowed,
+  withConflictWarnings
+} = require('../utils/scheduleConflicts');
+
+// Policies check the catalog course's department, so load it with the offering
+const loadOffering = fromParam(Offering, 'id', 'Course offering not found', 'course');
+
+// The catalog course named in the request body
+const loadCourseFromBody = {
+  load: (req) => Course.findById(req.body.course),
+  notFound: 'Course not found'
+};
+
+// Fields only changed through their own endpoints. Instructors are assigned
+// by admins through /api/faculty/:id/offerings.
+const PROTECTED_FIELDS = ['course', 'term', 'faculty', 'enrolledStudents', 'waitlist', 'assessments'];
+
+// @route   POST /api/offerings
+// @desc    Offer a catalog course (one section) in a term
+// @access  Private (Admin/Department faculty)
+router.post('/', [
+  auth.privileged,
+  check('course', 'Course is required').isMongoId(),
+  authorize('offering:create', { course: loadCourseFromBody }),
+  [
+    check('term', 'Term is required').isMongoId(),
+    check('section', 'Section must be a short code such as A').optional().matches(/^[A-Za-z0-9]{1,4}$/),
+    check('capacity', 'Capacity must be a positive number').isInt({ min: 1 }),
+    check('faculty', 'Faculty must be a list').optional().isArray(),
+    check('faculty.*', 'Faculty must be faculty ids').isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!(await Term.exists({ _id: req.body.term }))) {
+      return res.status(404).json({ msg: 'Term not found' });
+    }
+
+    const { course, term, section, capacity, faculty, schedule, assessments, status } = req.body;
+    const newOffering = new Offering({
+      course,
+      term,
+      section,
+      capacity,
+      faculty: faculty || [],
+      schedule,
+      assessments,
+      status
+    });
+
+    // Room or faculty double-booked?
+    const conflicts = await findOfferingConflicts(newOffering);
+    if (conflicts.length > 0 && !conflictsAllowed(req)) {
+      return res.status(409).json({ msg: 'Schedule conflict', conflicts });
+    }
+
+    const offering = await newOffering.save();
+    res.status(201).json(withConflictWarnings(offering, conflicts));
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'This section is already offered in this term' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings
+// @desc    Get offerings with optional filters
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const {
+      term,
+      course,
+      department,
+      semester,
+      faculty,
+      status
+    } = req.query;
+
+    const query = {};
+
+    // Add filters if they exist
+    if (term) query.term = term;
+    if (faculty) query.faculty = faculty;
+    if (status) query.status = status;
+    if (course) query.course = course;
+    if (department || semester) {
+      const catalog = {};
+      if (department) catalog.department = department;
+      if (semester) catalog.semester = semester;
+      const courseIds = await Course.find(catalog).distinct('_id');
+      query.course = course ? { $in: courseIds.filter(id => id.equals(course)) } : { $in: courseIds };
+    }
+
+    const offerings = await Offering.find(query)
+      .select('-enrolledStudents -waitlist')
+      .populate('course', 'courseCode courseName department credits semester')
+      .populate('term', 'code name')
+      .populate('faculty', 'firstName lastName email');
+    offerings.sort((a, b) =>
+      a.course.courseCode.localeCompare(b.course.courseCode) || a.section.localeCompare(b.section));
+
+    res.json(offerings);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'CastError') {
+      return res.json([]);
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/clashes
+// @desc    List room, faculty and student clashes between a term's active offerings
+// @access  Private (Admin/Faculty)
+router.get('/clashes', [
+  auth,
+  authorize('schedule:read-clashes'),
+  [
+    check('term', 'Term is required').isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { term, department, semester } = req.query;
+    res.json(await findAllClashes({ term, department, semester }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/:id
+// @desc    Get offering by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const offering = await Offering.findById(req.params.id)
+      .populate({
+        path: 'course',
+        populate: { path: 'prerequisites corequisites prerequisiteGroups.courses', select: 'courseCode courseName' }
+      })
+      .populate('term', 'code name startDate endDate')
+      .populate('faculty', 'firstName lastName email')
+      .populate('enrolledStudents.student', 'name rollNumber');
+
+    if (!offering) {
+      return res.status(404).json({ msg: 'Course offering not found' });
+    }
+
+    res.json(offering);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Course offering not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/offerings/:id
+// @desc    Update an offering's section, capacity or schedule
+// @access  Private (Admin/Offering faculty)
+router.put('/:id', [auth.privileged, authorize('offering:update', { offering: loadOffering })], async (req, res) => {
+  try {
+    const previousCapacity = req.resources.offering.capacity;
+
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    // Seats already taken or held for waitlisted students can't be taken away
+    const { currentEnrollment, reservedSeats } = req.resources.offering;
+    if (updates.capacity !== undefined && Number(updates.capacity) < currentEnrollment + reservedSeats) {
+      return res.status(400).json({
+        msg: `Capacity cannot be lower than the ${currentEnrollment + reservedSeats} seats already taken or held`
+      });
+    }
+
+    // Only re-check the timetable when something that affects it changes
+    const candidate = Offering.hydrate(req.resources.offering.toObject({ depopulate: true }));
+    candidate.set(updates);
+
+    let conflicts = [];
+    if (['schedule', 'status'].some(path => candidate.isModified(path))) {
+      conflicts = await findOfferingConflicts(candidate);
+      if (conflicts.length > 0 && !conflictsAllowed(req)) {
+        return res.status(409).json({ msg: 'Schedule conflict', conflicts });
+      }
+    }
+
+    const offering = await Offering.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    // Extra seats go to the waitlist first
+    if (offering.capacity > previousCapacity) {
+      await promoteAndNotify(offering);
+    }
+
+    res.json(withConflictWarnings(offering, conflicts));
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'This section is already offered in this term' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/offerings/:id
+// @desc    Delete an offering with no students
+// @access  Private (Admin only)
+router.delete('/:id', [auth.privileged, authorize('offering:delete', { offering: loadOffering })], async (req, res) => {
+  try {
+    const { offering } = req.resources;
+
+    if (offering.enrolledStudents.length > 0) {
+      return res.status(400).json({ msg: 'Cannot delete an offering with enrolled students' });
+    }
+
+    await offering.deleteOne();
+    res.json({ msg: 'Course offering removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/offerings/:id/enroll
+// @desc    Enroll the current student in an offering
+// @access  Private (Student)
+const enrollSelf = async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    // Check if student is already enrolled
+    if (offering.isEnrolled(student._id)) {
+      return res.status(400).json({ msg: 'Already enrolled in this course' });
+    }
+
+    if (await offering.isEnrolledInOtherSection(student._id)) {
+      return res.status(400).json({ msg: 'Already enrolled in another section of this course' });
+    }
+
+    if (!(await addingAllowed(req, offering))) {
+      return res.status(400).json({ msg: 'The add deadline for this term has passed' });
+    }
+
+    const unmet = await offering.unmetRequisites(student._id);
+    if (unmet.length > 0) {
+      return res.status(400).json({ msg: 'Prerequisites not met', unmet });
+    }
+
+    const conflicts = await findStudentConflicts(offering, [student._id]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ msg: 'Schedule conflict', conflicts });
+    }
+
+    // A waitlisted student holding an offer takes their reserved seat
+    const entry = offering.findWaitlistEntry(student._id);
+    if (entry && entry.offerExpiresAt > Date.now()) {
+      offering.claimWaitlistOffer(student._id);
+      await offering.save();
+      return res.json(offering);
+    }
+
+    // Check if offering is full (seats held for waitlist offers count as taken)
+    if (offering.isFull()) {
+      return res.status(400).json({ msg: 'Course is full, join the waitlist instead' });
+    }
+
+    if (entry) {
+      offering.leaveWaitlist(student._id);
+    }
+
+    offering.addEnrollment(student._id, unmet);
+    await offering.save();
+    res.json(offering);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+router.post('/:id/enroll', [auth, authorize('course:enroll-self', { offering: loadOffering })], enrollSelf);
+
+// @route   DELETE /api/offerings/:id/enroll
+// @desc    Drop the current student from an offering, or withdraw them after the drop deadline
+// @access  Private (Student)
+router.delete('/:id/enroll', [auth, authorize('course:enroll-self', { offering: loadOffering })], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    const outcome = await leaveOutcome(req, offering);
+    if (!outcome) {
+      return res.status(400).json({ msg: 'The withdrawal deadline for this term has passed' });
+    }
+
+    try {
+      offering.removeStudent(student._id, outcome, req.user.id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    // A dropped student's seat goes to the front of the waitlist
+    await promoteAndNotify(offering);
+
+    res.json({
+      msg: outcome === 'withdraw' ? 'Withdrawn from course with a W grade' : 'Dropped from course',
+      outcome
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/:id/waitlist
+// @desc    Get an offering's waitlist
+// @access  Private (Admin/Offering faculty)
+router.get('/:id/waitlist', [auth, authorize('waitlist:read', { offering: loadOffering })], async (req, res) => {
+  try {
+    const { offering } = req.resources;
+    await offering.populate('waitlist.student', 'name rollNumber');
+
+    res.json({
+      capacity: offering.capacity,
+      enrolled: offering.currentEnrollment,
+      reservedSeats: offering.reservedSeats,
+      waitlist: offering.waitlist
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/:id/waitlist/position
+// @desc    Get the current student's waitlist position and any seat offer
+// @access  Private (Student)
+router.get('/:id/waitlist/position', [
+  auth,
+  authorize('course:enroll-self', { offering: loadOffering })
+], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    const position = offering.waitlistPosition(student._id);
+    if (!position) {
+      return res.status(404).json({ msg: 'Not on the waitlist for this course' });
+    }
+
+    const entry = offering.findWaitlistEntry(student._id);
+    res.json({
+      position,
+      waitlistLength: offering.waitlist.length,
+      offerExpiresAt: entry.offerExpiresAt > Date.now() ? entry.offerExpiresAt : null
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/offerings/:id/waitlist
+// @desc    Join an offering's waitlist
+// @access  Private (Student)
+router.post('/:id/waitlist', [
+  auth,
+  authorize('course:enroll-self', { offering: loadOffering })
+], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    if (await offering.isEnrolledInOtherSection(student._id)) {
+      return res.status(400).json({ msg: 'Already enrolled in another section of this course' });
+    }
+
+    // No point holding a place for a seat the student couldn't take
+    if (!(await addingAllowed(req, offering))) {
+      return res.status(400).json({ msg: 'The add deadline for this term has passed' });
+    }
+
+    const unmet = await offering.unmetRequisites(student._id);
+    if (unmet.length > 0) {
+      return res.status(400).json({ msg: 'Prerequisites not met', unmet });
+    }
+
+    let position;
+    try {
+      position = offering.joinWaitlist(student._id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    await offering.save();
+    res.status(201).json({ position, waitlistLength: offering.waitlist.length });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/offerings/:id/waitlist
+// @desc    Leave an offering's waitlist
+// @access  Private (Student)
+router.delete('/:id/waitlist', [
+  auth,
+  authorize('course:enroll-self', { offering: loadOffering })
+], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    try {
+      offering.leaveWaitlist(student._id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    // Leaving may release a seat that was being held for this student
+    await promoteAndNotify(offering);
+    res.json({ msg: 'Removed from waitlist' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/offerings/:id/waitlist/claim
+// @desc    Claim a seat offered from the waitlist
+// @access  Private (Student)
+router.post('/:id/waitlist/claim', [
+  auth,
+  authorize('course:enroll-self', { offering: loadOffering })
+], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+
+    if (!(await addingAllowed(req, offering))) {
+      return res.status(400).json({ msg: 'The add deadline for this term has passed' });
+    }
+
+    const conflicts = await findStudentConflicts(offering, [student._id]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ msg: 'Schedule conflict', conflicts });
+    }
+
+    try {
+      offering.claimWaitlistOffer(student._id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    await offering.save();
+    res.json(offering);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/offerings/:id/assessments
+// @desc    Replace an offering's assessment plan (weightages must add up to 100)
+// @access  Private (Admin/Offering faculty)
+router.put('/:id/assessments', [
+  auth.privileged,
+  authorize('offering:update', { offering: loadOffering }),
+  [
+    check('assessments', 'Assessments must be a list').isArray(),
+    check('assessments.*._id', 'Assessment ids must be valid').optional().isMongoId(),
+    check('assessments.*.type', 'Assessment type is invalid')
+      .isIn(['quiz', 'assignment', 'midterm', 'final', 'project']),
+    check('assessments.*.weightage', 'Weightage must be between 0 and 100').isFloat({ min: 0, max: 100 }).toFloat(),
+    check('assessments.*.maxMarks', 'Maximum marks must be positive').optional().isFloat({ min: 1 }).toFloat(),
+    check('assessments.*.deadline', 'Deadline must be a date').optional().isISO8601().toDate()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { offering } = req.resources;
+
+    try {
+      offering.setAssessments(req.body.assessments);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    await offering.save();
+    res.json(offering.assessments);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/:id/gradebook
+// @desc    Get every enrolled student's marks and weighted total
+// @access  Private (Admin/Offering faculty)
+router.get('/:id/gradebook', [auth, authorize('gradebook:read', { offering: loadOffering })], async (req, res) => {
+  try {
+    const { offering } = req.resources;
+    await offering.populate('enrolledStudents.student', 'name rollNumber');
+
+    const students = offering.enrolledStudents
+      .map(enrollment => ({ student: enrollment.student, ...offering.marksSummary(enrollment) }))
+      .sort((a, b) => (a.student.rollNumber || '').localeCompare(b.student.rollNumber || ''));
+
+    res.json({
+      assessments: offering.assessments,
+      totalWeightage: offering.totalWeightage,
+      students
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/offerings/:id/gradebook/me
+// @desc    Get the current student's marks in an offering
+// @access  Private (Enrolled student)
+router.get('/:id/gradebook/me', [auth, authorize('gradebook:read-self', { offering: loadOffering })], async (req, res) => {
+  try {
+    const { offering, profile: student } = req.resources;
+    res.json(offering.marksSummary(offering.findEnrollment(student._id)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/offerings/:id/gradebook
+// @desc    Record marks in bulk (all or nothing)
+// @access  Private (Admin/Offering faculty)
+router.put('/:id/gradebook', [
+  auth.privileged,
+  authorize('grade:write', { offering: loadOffering }),
+  [
+    check('marks', 'Marks must be a non-empty list').isArray({ min: 1 }),
+    check('marks.*.student', 'Student is required').isMongoId(),
+    check('marks.*.assessment', 'Assessment is required').isMongoId(),
+    check('marks.*.score', 'Score must be a non-negative number').isFloat({ min: 0 }).toFloat()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { offering } = req.resources;
+
+    const rejected = [];
+    req.body.marks.forEach(({ student, assessment, score }, index) => {
+      try {
+        offering.recordMark(student, assessment, score, req.user.id);
+      } catch (err) {
+        rejected.push({ index, student, assessment, msg: err.message });
+      }
+    });
+    if (rejected.length > 0) {
+      return res.status(400).json({ msg: 'Some marks could not be recorded', rejected });
+    }
+
+    await offering.save();
+    res.json({ msg: `${req.body.marks.length} mark(s) recorded` });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/offerings/:id/gradebook/:studentId/:assessmentId
+// @desc    Record one student's marks for one assessment
+// @access  Private (Admin/Offering faculty)
+router.put('/:id/gradebook/:studentId/:assessmentId', [
+  auth.privileged,
+  authorize('grade:write', { offering: loadOffering }),
+  [
+    check('score', 'Score must be a non-negative number').isFloat({ min: 0 }).toFloat()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { offering } = req.resources;
+    const { studentId, assessmentId } = req.params;
+
+    try {
+      offering.recordMark(studentId, assessmentId, req.body.score, req.user.id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    await offering.save();
+    res.json(offering.marksSummary(offering.findEnrollment(studentId)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/offerings/:id/grades/compute
+// @desc    Compute letter grades from the gradebook (a preview unless apply is true)
+// @access  Private (Admin/Offering faculty)
+router.post('/:id/grades/compute', [
+  auth.privileged,
+  authorize('grade:write', { offering: loadOffering }),
+  [
+    check('relative', 'Relative must be true or false').optional().isBoolean({ strict: true }),
+    check('apply', 'Apply must be true or false').optional().isBoolean({ strict: true })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { offering } = req.resources;
+    const scale = await GradingScale.forDepartment(offering.course.department);
+
+    let result;
+    try {
+      result = offering.computeGrades(scale, { relative: req.body.relative === true });
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    if (req.body.apply === true) {
+      if (await offering.gradesLocked()) {
+        return res.status(400).json({ msg: 'Results for this term have been published, file a grade change request instead' });
+      }
+
+      result.graded.forEach(({ student, grade }) => {
+        offering.setGrade(student, grade, req.user.id, { source: 'computed' });
+      });
+      await offering.save();
+    }
+
+    res.json({ scale: scale.name, applied: req.body.apply === true, ...result });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/offerings/:id/grade/:studentId
+// @desc    Update student's grade
+// @access  Private (Admin/Offering faculty)
+const gradeValidators = [
+  check('grade', `Grade must be one of: ${[...LETTER_GRADES, 'I'].join(', ')}`)
+    .isIn([...LETTER_GRADES, 'I']),
+  check('reason').optional().trim()
+];
+
+const updateGrade = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { offering } = req.resources;
+    const studentId = req.params.studentId;
+    const grade = req.body.grade;
+
+    if (await offering.gradesLocked()) {
+      return res.status(400).json({ msg: 'Results for this term have been published, file a grade change request instead' });
+    }
+
+    const scale = await GradingScale.forDepartment(offering.course.department);
+    if (grade !== 'I' && !scale.hasLetter(grade)) {
+      return res.status(400).json({ msg: `${grade} is not a grade on the ${scale.name}` });
+    }
+
+    const enrollmentIndex = offering.enrolledStudents.findIndex(
+      enrollment => enrollment.student.toString() === studentId
+    );
+
+    if (enrollmentIndex === -1) {
+      return res.status(404).json({ msg: 'Student not found in this course' });
+    }
+
+    if (offering.enrolledStudents[enrollmentIndex].grade === 'W') {
+      return res.status(400).json({ msg: 'Student has withdrawn from this course' });
+    }
+
+    offering.setGrade(studentId, grade, req.user.id, { reason: req.body.reason });
+    await offering.save();
+    res.json(offering);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+router.put('/:id/grade/:studentId', [
+  auth.privileged,
+  authorize('grade:write', { offering: loadOffering }),
+  gradeValidators
+], updateGrade);
+
+module.exports = router;
+// Shared with the deprecated /api/courses aliases
+module.exports.enrollSelf = enrollSelf;
+module.exports.gradeValidators = gradeValidators;
+module.exports.updateGrade = updateGrade;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const OidcLoginState = require('../models/OidcLoginState');
+const oidc = require('../utils/oidc');
+const { provisionFromIdentity } = require('../utils/provisioning');
+const { completeLogin } = require('../utils/tokens');
+
+// Binds a login to the browser that started it, so a victim can't be sent
+// down someone else's callback and signed in as them. Lax, because the
+// callback is a cross-site redirect back from the identity provider.
+const STATE_COOKIE = 'oidc_state';
+const stateCookieOptions = req => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure,
+  path: req.baseUrl
+});
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+const sameState = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Every route here 404s until SSO is configured
+router.use((req, res, next) => {
+  if (!oidc.config.enabled) {
+    return res.status(404).json({ msg: 'Single sign-on is not configured' });
+  }
+  next();
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start single sign-on by redirecting to the identity provider
+// @access  Public
+router.get('/login', async (req, res) => {
+  try {
+    const { url, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest();
+    const loginState = await OidcLoginState.create({ state, nonce, codeVerifier });
+
+    res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(req), expires: loginState.expiresAt });
+    res.redirect(url);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Complete single sign-on and issue our tokens
+// @access  Public
+router.get('/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  if (error) {
+    return res.status(400).json({ msg: errorDescription || error });
+  }
+  if (!code || !state) {
+    return res.status(400).json({ msg: 'Missing code or state' });
+  }
+
+  const cookieState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+  if (!cookieState || !sameState(cookieState, state)) {
+    return res.status(400).json({ msg: 'Login was not started from this browser, please try again' });
+  }
+
+  try {
+    const loginState = await OidcLoginState.consume(state);
+    if (!loginState) {
+      return res.status(400).json({ msg: 'Login request has expired, please try again' });
+    }
+
+    const { id_token: idToken } = await oidc.exchangeCode(code, loginState.codeVerifier);
+
+    let claims;
+    try {
+      claims = await oidc.verifyIdToken(idToken, loginState.nonce);
+    } catch (err) {
+      console.error(err.message);
+      return res.status(401).json({ msg: 'ID token is not valid' });
+    }
+
+    const user = await provisionFromIdentity(claims, {
+      issuer: oidc.config.issuer,
+      role: oidc.mapRole(claims),
+      autoProvision: oidc.config.autoProvision
+    });
+
+    if (!user) {
+      return res.status(403).json({ msg: 'No account is linked to this identity' });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ msg: 'Account is deactivated' });
+    }
+
+    const tokens = await completeLogin(user, req);
+
+    if (oidc.config.postLoginRedirect) {
+      return res.redirect(`${oidc.config.postLoginRedirect}#${new URLSearchParams(tokens).toString()}`);
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
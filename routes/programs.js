@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const Program = require('../models/Program');
+const Course = require('../models/Course');
+
+const loadProgram = fromParam(Program, 'id', 'Degree program not found');
+
+const PROGRAM_FIELDS = ['code', 'name', 'branch', 'batch', 'totalCredits', 'requiredCourses', 'electivePools', 'minCgpa'];
+
+// Requirement lists are checked the same way on create and update
+const requirementValidators = [
+  check('requiredCourses', 'Required courses must be a list').optional().isArray(),
+  check(['requiredCourses.*', 'electivePools.*.courses.*'], 'Courses must be course ids').isMongoId(),
+  check('electivePools', 'Elective pools must be a list').optional().isArray(),
+  check('electivePools.*.name', 'Each elective pool needs a name').notEmpty(),
+  check('electivePools.*.minCredits', 'Each elective pool needs minimum credits').isInt({ min: 1 }),
+  check('minCgpa', 'Minimum CGPA must be between 0 and 10').optional().isFloat({ min: 0, max: 10 })
+];
+
+// Course ids in the request that don't exist
+const unknownCourses = async ({ requiredCourses = [], electivePools = [] }) => {
+  const ids = [...new Set([...requiredCourses, ...electivePools.flatMap(pool => pool.courses || [])])];
+  const found = await Course.find({ _id: { $in: ids } }).distinct('_id');
+  return ids.filter(id => !found.some(existing => existing.equals(id)));
+};
+
+const pickFields = body => Object.fromEntries(
+  PROGRAM_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// @route   POST /api/programs
+// @desc    Define a degree program for a branch and batch
+// @access  Private (Admin only)
+router.post('/', [
+  auth.privileged,
+  authorize('program:manage'),
+  [
+    check('code', 'Program code is required').notEmpty(),
+    check('name', 'Program name is required').notEmpty(),
+    check('branch', 'Branch is required').notEmpty(),
+    check('batch', 'Batch is required').notEmpty(),
+    check('totalCredits', 'Total credits must be a positive number').isInt({ min: 1 }),
+    ...requirementValidators
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const missing = await unknownCourses(req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ msg: 'Some courses do not exist', courses: missing });
+    }
+
+    const program = await Program.create(pickFields(req.body));
+    res.status(201).json(program);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A program with this code, or for this branch and batch, already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/programs
+// @desc    List degree programs, optionally for a branch and/or batch
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.branch) query.branch = req.query.branch;
+    if (req.query.batch) query.batch = req.query.batch;
+
+    const programs = await Program.find(query).sort({ branch: 1, batch: -1 });
+    res.json(programs);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/programs/:id
+// @desc    Get degree program by ID with its courses
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const program = await Program.findById(req.params.id)
+      .populate('requiredCourses electivePools.courses', 'courseCode courseName credits');
+
+    if (!program) {
+      return res.status(404).json({ msg: 'Degree program not found' });
+    }
+    res.json(program);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Degree program not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/programs/:id
+// @desc    Update a degree program
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth.privileged,
+  authorize('program:manage', { program: loadProgram }),
+  [
+    check(['code', 'name', 'branch', 'batch'], 'Code, name, branch and batch cannot be empty').optional().notEmpty(),
+    check('totalCredits', 'Total credits must be a positive number').optional().isInt({ min: 1 }),
+    ...requirementValidators
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { program } = req.resources;
+
+    const missing = await unknownCourses(req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({ msg: 'Some courses do not exist', courses: missing });
+    }
+
+    program.set(pickFields(req.body));
+    await program.save();
+    res.json(program);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A program with this code, or for this branch and batch, already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/programs/:id
+// @desc    Delete a degree program
+// @access  Private (Admin only)
+router.delete('/:id', [auth.privileged, authorize('program:manage', { program: loadProgram })], async (req, res) => {
+  try {
+    await req.resources.program.deleteOne();
+    res.json({ msg: 'Degree program removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
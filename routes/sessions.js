@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const loadSession = fromParam(Session, 'id', 'Session not found');
+const loadUser = fromParam(User, 'userId', 'User not found');
+
+// Flag the session the request was made from
+const withCurrent = (sessions, req) => sessions.map(session => ({
+  ...session.toJSON(),
+  current: session.id === req.token.sid
+}));
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/', auth.user, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+    res.json(withCurrent(sessions, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/auth/sessions/user/:userId
+// @desc    List a user's active sessions
+// @access  Private (Admin only)
+router.get('/user/:userId', [
+  auth.privileged,
+  authorize('session:manage-any', { account: loadUser })
+], async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.resources.account._id);
+    res.json(withCurrent(sessions, req));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/auth/sessions/user/:userId
+// @desc    Terminate every session for a user
+// @access  Private (Admin only)
+router.delete('/user/:userId', [
+  auth.privileged,
+  authorize('session:manage-any', { account: loadUser })
+], async (req, res) => {
+  try {
+    await req.resources.account.revokeAllTokens(req.user.id);
+    res.json({ msg: 'All sessions revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private (Owner or Admin)
+router.delete('/:id', [auth.user, authorize('session:revoke', { session: loadSession })], async (req, res) => {
+  try {
+    const { session } = req.resources;
+
+    if (!session.isActive) {
+      return res.status(400).json({ msg: 'Session is no longer active' });
+    }
+
+    await session.revoke(req.user.id);
+    res.json({ msg: 'Session revoked' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const Setting = require('../models/Setting');
+const { DEFAULT_MIN_GRADE } = require('../models/Course');
+const { LETTER_GRADES } = require('../models/GradingScale');
+const { getMfaRequiredRoles } = require('../utils/tokens');
+
+const ROLES = ['student', 'faculty', 'admin'];
+
+// @route   GET /api/settings/mfa
+// @desc    Get the roles two-factor authentication is mandatory for
+// @access  Private (Admin only)
+router.get('/mfa', [auth.privileged, authorize('settings:manage')], async (req, res) => {
+  try {
+    res.json({ requiredRoles: await getMfaRequiredRoles() });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/settings/mfa
+// @desc    Set the roles two-factor authentication is mandatory for
+// @access  Private (Admin only)
+router.put('/mfa', [
+  auth.privileged,
+  authorize('settings:manage'),
+  [
+    check('requiredRoles', 'Required roles must be a list').isArray(),
+    check('requiredRoles.*', `Role must be one of: ${ROLES.join(', ')}`).isIn(ROLES)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+    await Setting.setValue('mfa.requiredRoles', requiredRoles, req.user.id);
+
+    res.json({ requiredRoles });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/settings/prerequisites
+// @desc    Get the minimum grade that passes a prerequisite
+// @access  Private (Admin only)
+router.get('/prerequisites', [auth.privileged, authorize('settings:manage')], async (req, res) => {
+  try {
+    const minGrade = await Setting.getValue('enrollment.prerequisiteMinGrade', DEFAULT_MIN_GRADE);
+    res.json({ minGrade });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/settings/prerequisites
+// @desc    Set the minimum grade that passes a prerequisite (courses may override it)
+// @access  Private (Admin only)
+router.put('/prerequisites', [
+  auth.privileged,
+  authorize('settings:manage'),
+  [
+    check('minGrade', `Minimum grade must be one of: ${LETTER_GRADES.join(', ')}`).isIn(LETTER_GRADES)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await Setting.setValue('enrollment.prerequisiteMinGrade', req.body.minGrade, req.user.id);
+    res.json({ minGrade: req.body.minGrade });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
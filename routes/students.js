@@ -2,14 +2,37 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const deprecated = require('../middleware/deprecated');
+const { currentOffering } = deprecated;
+const { can } = require('../utils/permissions');
+const { fromParam } = authorize;
 const Student = require('../models/Student');
-const Course = require('../models/Course');
+const Offering = require('../models/Offering');
+const User = require('../models/User');
+const Transcript = require('../models/Transcript');
+const { provisionStudent, sendInvitation, removeAccount } = require('../utils/provisioning');
+const { promoteAndNotify } = require('../utils/waitlist');
+const { getAcademicSummary } = require('../utils/academicRecord');
+const { verificationLinks, transcriptContent, transcriptPdf } = require('../utils/transcript');
+const { runDegreeAudit } = require('../utils/degreeAudit');
+const { addingAllowed, leaveOutcome } = require('../utils/enrollmentDeadlines');
+const { findStudentConflicts, conflictsAllowed, withConflictWarnings } = require('../utils/scheduleConflicts');
+
+const loadStudent = fromParam(Student, 'id', 'Student not found');
+// Policies check the catalog course's department, so load it with the offering
+const loadOffering = fromParam(Offering, 'offeringId', 'Course offering not found', 'course');
+
+// The deprecated /courses/:courseId routes act on the section the student is in
+const loadCurrentOffering = currentOffering('courseId', '/api/students/:id/offerings/:offeringId',
+  (req, offering) => offering.isEnrolled(req.params.id));
 
 // @route   POST /api/students
 // @desc    Create a new student
 // @access  Private (Admin only)
 router.post('/', [
-  auth,
+  auth.privileged,
+  authorize('student:create'),
   [
     check('rollNumber', 'Roll number is required').notEmpty(),
     check('name.firstName', 'First name is required').notEmpty(),
@@ -24,11 +47,6 @@ router.post('/', [
   ]
 ], async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to create students' });
-    }
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -37,31 +55,42 @@ router.post('/', [
     const { rollNumber, contactInfo: { email } } = req.body;
 
     // Check if student already exists
-    let student = await Student.findOne({ 
+    const existing = await Student.findOne({ 
       $or: [{ rollNumber }, { 'contactInfo.email': email }] 
     });
     
-    if (student) {
+    if (existing) {
       return res.status(400).json({ msg: 'Student already exists' });
     }
 
-    student = new Student({
-      ...req.body,
-      user: req.user.id
-    });
+    if (await User.exists({ $or: [{ username: rollNumber }, { email }] })) {
+      return res.status(400).json({ msg: 'A user account with this roll number or email already exists' });
+    }
+
+    // Creates the student and their linked User account together
+    const { profile: student, user, inviteToken } = await provisionStudent(req.body);
+
+    try {
+      await sendInvitation(user, inviteToken, req);
+    } catch (err) {
+      // The account exists; the student can still use forgot password
+      console.error(err.message);
+    }
 
-    await student.save();
     res.status(201).json(student);
   } catch (err) {
     console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Student already exists' });
+    }
     res.status(500).send('Server Error');
   }
 });
 
 // @route   GET /api/students
 // @desc    Get all students with optional filters
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (Admin/Faculty)
+router.get('/', [auth, authorize('student:read')], async (req, res) => {
   try {
     const {
       branch,
@@ -99,8 +128,7 @@ router.get('/', auth, async (req, res) => {
     const students = await Student.find(query)
       .sort(sortObject)
       .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate('courses.course', 'courseCode courseName');
+      .limit(parseInt(limit));
 
     const total = await Student.countDocuments(query);
 
@@ -119,22 +147,12 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/students/:id
 // @desc    Get student by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id)
-      .populate('courses.course', 'courseCode courseName credits')
-      .populate('user', 'username email');
-
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
-    }
-
-    // Check if user has permission to view student details
-    if (req.user.role !== 'admin' && 
-        req.user.role !== 'faculty' && 
-        req.user.id !== student.user.toString()) {
-      return res.status(403).json({ msg: 'Not authorized to view this student' });
-    }
+    const student = await req.resources.student.populate('user', 'username email');
 
     res.json(student);
   } catch (err) {
@@ -149,20 +167,18 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/students/:id
 // @desc    Update student
 // @access  Private (Admin or Self)
-router.put('/:id', [auth], async (req, res) => {
+router.put('/:id', [auth, authorize('student:update', { student: loadStudent })], async (req, res) => {
   try {
-    let student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
-    }
-
-    // Check if user has permission to update
-    if (req.user.role !== 'admin' && req.user.id !== student.user.toString()) {
-      return res.status(403).json({ msg: 'Not authorized to update this student' });
-    }
+    const { student } = req.resources;
 
     // Update fields
     const updates = req.body;
+
+    // CGPA and backlogs are derived from grades
+    if (updates.academic) {
+      delete updates.academic.cgpa;
+      delete updates.academic.backlogCount;
+    }
     Object.keys(updates).forEach(update => {
       if (update !== 'user' && update !== '_id') { // Prevent updating protected fields
         if (typeof updates[update] === 'object') {
@@ -187,24 +203,24 @@ router.put('/:id', [auth], async (req, res) => {
 // @route   DELETE /api/students/:id
 // @desc    Delete student
 // @access  Private (Admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', [auth.privileged, authorize('student:delete', { student: loadStudent })], async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Not authorized to delete students' });
-    }
+    const { student } = req.resources;
 
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
-    }
-
-    // Remove student from all enrolled courses
-    await Course.updateMany(
+    // Remove student from all enrolled offerings
+    await Offering.updateMany(
       { 'enrolledStudents.student': student._id },
       { $pull: { enrolledStudents: { student: student._id } } }
     );
 
-    await student.remove();
+    // ...and from every waitlist
+    await Offering.updateMany(
+      { 'waitlist.student': student._id },
+      { $pull: { waitlist: { student: student._id } } }
+    );
+
+    await removeAccount(student);
+    await student.deleteOne();
     res.json({ msg: 'Student removed' });
   } catch (err) {
     console.error(err.message);
@@ -215,101 +231,299 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route    GET /api/students/:id/offerings
+// @desc     Get offerings the student is enrolled in, optionally for one term
+// @access   Private
+const listOfferings = async (req, res) => {
+  try {
+    const { student } = req.resources;
+
+    const query = { 'enrolledStudents.student': student._id };
+    if (req.query.term) query.term = req.query.term;
+
+    const offerings = await Offering.find(query)
+      .select('-enrolledStudents -waitlist')
+      .populate('course', 'courseCode courseName credits')
+      .populate('term', 'code name startDate')
+      .populate('faculty', 'firstName lastName');
+    offerings.sort((a, b) =>
+      b.term.startDate - a.term.startDate || a.course.courseCode.localeCompare(b.course.courseCode));
+
+    res.json(offerings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+router.get('/:id/offerings', [
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], listOfferings);
+
 // @route    GET /api/students/:id/courses
-// @desc     Get courses enrolled by student
+// @desc     Deprecated alias of GET /api/students/:id/offerings
 // @access   Private
-router.get('/:id/courses', auth, async (req, res) => {
+router.get('/:id/courses', [
+  deprecated('/api/students/:id/offerings'),
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], listOfferings);
+
+// @route   GET /api/students/:id/academic-summary
+// @desc    Get SGPA per term, CGPA, credits and backlogs worked out from grades
+// @access  Private
+router.get('/:id/academic-summary', [
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
-    }
+    const { student } = req.resources;
+    const summary = await getAcademicSummary(student._id);
+
+    res.json({
+      student: { _id: student._id, rollNumber: student.rollNumber, name: student.name },
+      ...summary
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
 
-    // Check if user has permission to view student courses
-    if (req.user.role !== 'admin' && 
-        req.user.role !== 'faculty' && 
-        req.user.id !== student.user.toString()) {
-      return res.status(403).json({ msg: 'Not authorized to view this student\'s courses' });
+// @route   GET /api/students/:id/grade-history
+// @desc    Get every change to the student's grades, course by course
+// @access  Private
+router.get('/:id/grade-history', [
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], async (req, res) => {
+  try {
+    const { student } = req.resources;
+
+    const offerings = await Offering.find({ 'enrolledStudents.student': student._id })
+      .select({ course: 1, term: 1, section: 1, enrolledStudents: { $elemMatch: { student: student._id } } })
+      .populate('course', 'courseCode courseName')
+      .populate('term', 'code name startDate resultsPublishedAt')
+      .populate('enrolledStudents.gradeHistory.changedBy', 'username role');
+
+    const history = offerings
+      .sort((a, b) => a.term.startDate - b.term.startDate)
+      .map(offering => {
+        const [enrollment] = offering.enrolledStudents;
+        return {
+          offering: offering._id,
+          course: offering.course,
+          term: offering.term,
+          section: offering.section,
+          grade: enrollment.grade,
+          history: enrollment.gradeHistory
+        };
+      });
+
+    res.json(history);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/students/:id/degree-audit
+// @desc    Compare the student's results with their branch and batch's degree program
+// @access  Private
+router.get('/:id/degree-audit', [
+  auth,
+  authorize(['student:read', 'student:read-self'], { student: loadStudent })
+], async (req, res) => {
+  try {
+    const audit = await runDegreeAudit(req.resources.student);
+    if (!audit) {
+      return res.status(404).json({ msg: 'No degree program is defined for this student\'s branch and batch' });
     }
 
-    const courses = await Course.find({ 'enrolledStudents.student': student._id })
-      .populate('faculty', 'firstName lastName')
-      .sort({ courseCode: 1 });
+    res.json(audit);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/students/:id/transcript
+// @desc    Issue an official transcript of published results as a PDF, or as JSON with ?format=json
+// @access  Private (Admin only)
+router.get('/:id/transcript', [
+  auth.privileged,
+  authorize('transcript:issue', { student: loadStudent }),
+  [
+    check('format', 'Format must be pdf or json').optional().isIn(['pdf', 'json'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    res.json(courses);
+  try {
+    const { student } = req.resources;
+
+    const verifyUrlFor = verificationLinks();
+    const content = transcriptContent(student, await getAcademicSummary(student._id, { publishedOnly: true }));
+    const transcript = await Transcript.issue(student, content, req.user.id);
+    const verification = {
+      code: transcript.code,
+      issuedAt: transcript.createdAt,
+      verifyUrl: verifyUrlFor(transcript.code)
+    };
+
+    if (req.query.format === 'json') {
+      return res.json({ ...content, verification });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="transcript-${student.rollNumber}.pdf"`
+    });
+    res.send(transcriptPdf(content, verification));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
 });
 
-// @route   POST /api/students/:id/courses/:courseId
-// @desc    Enroll student in course
-// @access  Private (Admin or Faculty)
-router.post('/:id/courses/:courseId', auth, async (req, res) => {
+// @route   POST /api/students/:id/offerings/:offeringId
+// @desc    Enroll student in a course offering
+// @access  Private (Admin or Department faculty)
+const enrollmentValidators = [
+  check(['overrideRequisites', 'overrideDeadline'], 'Override must be true or false').optional().isBoolean().toBoolean(),
+  check('overrideReason', 'A reason is required to override prerequisites')
+    .if((value, { req }) => req.body.overrideRequisites === true)
+    .trim()
+    .notEmpty()
+];
+
+const enroll = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
-      return res.status(403).json({ msg: 'Not authorized to enroll students in courses' });
+    const { student, offering } = req.resources;
+
+    // Check if student is already enrolled in course
+    if (offering.isEnrolled(student._id)) {
+      return res.status(400).json({ msg: 'Student already enrolled in this course' });
     }
 
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
+    if (await offering.isEnrolledInOtherSection(student._id)) {
+      return res.status(400).json({ msg: 'Student already enrolled in another section of this course' });
     }
 
-    const course = await Course.findById(req.params.courseId);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
+    if (!(await addingAllowed(req, offering))) {
+      return res.status(400).json({ msg: 'The add deadline for this term has passed' });
     }
 
-    // Check if student is already enrolled in course
-    if (course.enrolledStudents.some(enrolledStudent => enrolledStudent.student.toString() === student._id.toString())) {
-      return res.status(400).json({ msg: 'Student already enrolled in this course' });
+    let override;
+    if (req.body.overrideRequisites) {
+      if (!can(req.user, 'enrollment:override-requisites', req.resources)) {
+        return res.status(403).json({ msg: 'Only admins can enroll students who do not meet the prerequisites' });
+      }
+      override = { by: req.user.id, reason: req.body.overrideReason };
+    }
+
+    const unmet = await offering.unmetRequisites(student._id);
+    if (unmet.length > 0 && !override) {
+      return res.status(400).json({ msg: 'Prerequisites not met', unmet });
     }
 
-    course.enrolledStudents.push({ student: student._id });
-    await course.save();
+    const conflicts = await findStudentConflicts(offering, [student._id]);
+    if (conflicts.length > 0 && !conflictsAllowed(req)) {
+      return res.status(409).json({ msg: 'Schedule conflict', conflicts });
+    }
 
-    res.json(course);
+    // Seats held for waitlist offers count as taken, unless the student
+    // holds one of them
+    const entry = offering.findWaitlistEntry(student._id);
+    if (!(entry && entry.offerExpiresAt > Date.now()) && offering.isFull()) {
+      return res.status(400).json({ msg: 'Course is full, add the student to the waitlist instead' });
+    }
+
+    // An enrollment made by staff replaces any waitlist entry
+    if (entry) {
+      offering.leaveWaitlist(student._id);
+    }
+
+    offering.addEnrollment(student._id, unmet, override);
+    await offering.save();
+
+    res.json(withConflictWarnings(offering, conflicts));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
-});
+};
 
-// @route   DELETE /api/students/:id/courses/:courseId
-// @desc    Remove student from course
-// @access  Private (Admin or Faculty)
-router.delete('/:id/courses/:courseId', auth, async (req, res) => {
+router.post('/:id/offerings/:offeringId', [
+  auth.privileged,
+  authorize('enrollment:create', { student: loadStudent, offering: loadOffering }),
+  enrollmentValidators
+], enroll);
+
+// @route   POST /api/students/:id/courses/:courseId
+// @desc    Deprecated alias of POST /api/students/:id/offerings/:offeringId for the current term
+// @access  Private (Admin or Department faculty)
+router.post('/:id/courses/:courseId', [
+  deprecated('/api/students/:id/offerings/:offeringId'),
+  auth.privileged,
+  authorize('enrollment:create', { student: loadStudent, offering: loadCurrentOffering }),
+  enrollmentValidators
+], enroll);
+
+// @route   DELETE /api/students/:id/offerings/:offeringId
+// @desc    Drop student from a course offering, or withdraw them after the drop deadline
+// @access  Private (Admin or Department faculty)
+const unenroll = async (req, res) => {
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
-      return res.status(403).json({ msg: 'Not authorized to remove students from courses' });
-    }
+    const { student, offering } = req.resources;
 
-    const student = await Student.findById(req.params.id);
-    if (!student) {
-      return res.status(404).json({ msg: 'Student not found' });
+    // Check if student is enrolled in the offering
+    if (!offering.isEnrolled(student._id)) {
+      return res.status(400).json({ msg: 'Student not enrolled in this course' });
     }
 
-    const course = await Course.findById(req.params.courseId);
-    if (!course) {
-      return res.status(404).json({ msg: 'Course not found' });
+    const outcome = await leaveOutcome(req, offering);
+    if (!outcome) {
+      return res.status(400).json({ msg: 'The withdrawal deadline for this term has passed' });
     }
 
-    // Check if student is enrolled in course
-    const index = course.enrolledStudents.findIndex(enrolledStudent => enrolledStudent.student.toString() === student._id.toString());
-    if (index === -1) {
-      return res.status(400).json({ msg: 'Student not enrolled in this course' });
+    try {
+      offering.removeStudent(student._id, outcome, req.user.id);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
     }
 
-    course.enrolledStudents.splice(index, 1);
-    await course.save();
+    // The freed seat goes to the front of the waitlist
+    await promoteAndNotify(offering);
 
-    res.json(course);
+    res.json(offering);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
-});
+};
+
+router.delete('/:id/offerings/:offeringId', [
+  auth.privileged,
+  authorize('enrollment:delete', { student: loadStudent, offering: loadOffering })
+], unenroll);
+
+// @route   DELETE /api/students/:id/courses/:courseId
+// @desc    Deprecated alias of DELETE /api/students/:id/offerings/:offeringId for the current term
+// @access  Private (Admin or Department faculty)
+router.delete('/:id/courses/:courseId', [
+  deprecated('/api/students/:id/offerings/:offeringId'),
+  auth.privileged,
+  authorize('enrollment:delete', { student: loadStudent, offering: loadCurrentOffering })
+], unenroll);
 
 module.exports = router;
\ No newline at end of file
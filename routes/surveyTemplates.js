@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const SurveyTemplate = require('../models/SurveyTemplate');
+const { QUESTION_TYPES, QUESTION_TARGETS } = SurveyTemplate;
+
+const loadTemplate = fromParam(SurveyTemplate, 'id', 'Survey template not found');
+
+const templateValidators = [
+  check('name', 'Name is required').trim().notEmpty(),
+  check('description', 'Description must be text').optional().isString(),
+  check('questions', 'Questions must be a non-empty list').isArray({ min: 1 }),
+  check('questions.*.prompt', 'Each question needs a prompt').trim().notEmpty(),
+  check('questions.*.type', `Question type must be one of: ${QUESTION_TYPES.join(', ')}`).isIn(QUESTION_TYPES),
+  check('questions.*.target', `Question target must be one of: ${QUESTION_TARGETS.join(', ')}`)
+    .optional().isIn(QUESTION_TARGETS),
+  check('questions.*.options', 'Options must be a list').optional().isArray(),
+  check('questions.*.required', 'Required must be true or false').optional().isBoolean({ strict: true })
+];
+
+// @route   POST /api/survey-templates
+// @desc    Create a feedback survey template
+// @access  Private (Admin only)
+router.post('/', [auth.privileged, authorize('survey-template:manage'), templateValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, questions } = req.body;
+
+  try {
+    const template = await SurveyTemplate.create({ name, description, questions, createdBy: req.user.id });
+    res.status(201).json(template);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A survey template with this name already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/survey-templates
+// @desc    List survey templates
+// @access  Private (Admin only)
+router.get('/', [auth.privileged, authorize('survey-template:manage')], async (req, res) => {
+  try {
+    const templates = await SurveyTemplate.find().sort({ name: 1 });
+    res.json(templates);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/survey-templates/:id
+// @desc    Get survey template by ID
+// @access  Private (Admin only)
+router.get('/:id', [
+  auth.privileged,
+  authorize('survey-template:manage', { template: loadTemplate })
+], async (req, res) => {
+  try {
+    res.json(req.resources.template);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/survey-templates/:id
+// @desc    Replace a template's questions. Surveys already opened keep theirs.
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth.privileged,
+  authorize('survey-template:manage', { template: loadTemplate }),
+  templateValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { template } = req.resources;
+  const { name, description, questions } = req.body;
+
+  try {
+    template.set({ name, description, questions });
+    await template.save();
+    res.json(template);
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A survey template with this name already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/survey-templates/:id
+// @desc    Delete a survey template; surveys opened from it are kept
+// @access  Private (Admin only)
+router.delete('/:id', [
+  auth.privileged,
+  authorize('survey-template:manage', { template: loadTemplate })
+], async (req, res) => {
+  try {
+    await req.resources.template.deleteOne();
+    res.json({ msg: 'Survey template removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const { can } = require('../utils/permissions');
+const Survey = require('../models/Survey');
+const SurveyParticipation = require('../models/SurveyParticipation');
+const SurveyTemplate = require('../models/SurveyTemplate');
+const Offering = require('../models/Offering');
+const Faculty = require('../models/Faculty');
+const Term = require('../models/Term');
+const { getSurveyResults } = require('../utils/surveyResults');
+
+const loadSurvey = fromParam(Survey, 'id', 'Survey not found');
+const loadSurveyWithOffering = fromParam(Survey, 'id', 'Survey not found', 'offering');
+const loadFaculty = fromParam(Faculty, 'facultyId', 'Faculty member not found');
+
+const SURVEY_DETAILS = [
+  {
+    path: 'offering',
+    select: 'course section',
+    populate: { path: 'course', select: 'courseCode courseName' }
+  },
+  { path: 'term', select: 'code name' },
+  { path: 'faculty', select: 'firstName lastName' }
+];
+
+// @route   POST /api/surveys
+// @desc    Open a feedback survey from a template for each of a term's offerings
+// @access  Private (Admin only)
+router.post('/', [
+  auth.privileged,
+  authorize('survey:manage'),
+  [
+    check('term', 'Term is required').isMongoId(),
+    check('template', 'Survey template is required').isMongoId(),
+    check('opensAt', 'Opening date must be valid').optional().isISO8601().toDate(),
+    check('closesAt', 'Closing date is required').isISO8601().toDate(),
+    check('minResponses', 'Minimum responses must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('offerings', 'Offerings must be a list').optional().isArray(),
+    check('offerings.*', 'Offerings must be offering ids').isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { opensAt, closesAt, minResponses } = req.body;
+
+    const [term, template] = await Promise.all([
+      Term.findById(req.body.term),
+      SurveyTemplate.findById(req.body.template)
+    ]);
+    if (!term) {
+      return res.status(404).json({ msg: 'Term not found' });
+    }
+    if (!template) {
+      return res.status(404).json({ msg: 'Survey template not found' });
+    }
+
+    // Every running offering in the term, or just the ones asked for
+    const query = { term: term._id, status: { $ne: 'cancelled' } };
+    if (req.body.offerings) query._id = { $in: req.body.offerings };
+    const offerings = await Offering.find(query).populate('course', 'department');
+
+    // An offering gets one survey
+    const existing = await Survey.find({ offering: { $in: offerings.map(offering => offering._id) } })
+      .distinct('offering');
+    const toOpen = offerings.filter(offering => !existing.some(id => id.equals(offering._id)));
+
+    const surveys = await Survey.insertMany(toOpen.map(offering => ({
+      offering: offering._id,
+      term: term._id,
+      department: offering.course.department,
+      template: template._id,
+      questions: template.questions.map(question => question.toObject()),
+      faculty: offering.faculty,
+      opensAt,
+      closesAt,
+      minResponses,
+      createdBy: req.user.id
+    })));
+
+    res.status(201).json({ opened: surveys.length, skipped: existing.length, surveys });
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/surveys
+// @desc    List feedback surveys with their response counts, optionally for a term
+// @access  Private (Admin only)
+router.get('/', [auth.privileged, authorize('survey:manage')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.term) query.term = req.query.term;
+
+    const surveys = await Survey.find(query)
+      .select('-questions')
+      .populate(SURVEY_DETAILS)
+      .sort({ closesAt: -1 });
+    res.json(surveys);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ msg: 'Invalid term id' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/surveys/mine
+// @desc    Get the open surveys the current student has yet to answer
+// @access  Private (Student)
+router.get('/mine', [auth, authorize('survey:list-own')], async (req, res) => {
+  try {
+    const { profile: student } = req.resources;
+
+    const offerings = await Offering.find({
+      enrolledStudents: { $elemMatch: { student: student._id, grade: { $ne: 'W' } } }
+    }).distinct('_id');
+
+    const now = Date.now();
+    const surveys = await Survey.find({
+      offering: { $in: offerings },
+      opensAt: { $lte: now },
+      closesAt: { $gt: now }
+    })
+      .select('-minResponses -responseCount')
+      .populate(SURVEY_DETAILS)
+      .sort({ closesAt: 1 });
+
+    const answered = await SurveyParticipation.answeredBy(surveys.map(survey => survey._id), student._id);
+    res.json(surveys.filter(survey => !answered.some(id => id.equals(survey._id))));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/surveys/faculty/:facultyId/results
+// @desc    Get a faculty member's instructor feedback across the closed surveys with enough responses
+// @access  Private (Admin, Head of department or Self)
+router.get('/faculty/:facultyId/results', [
+  auth.privileged,
+  authorize('survey:read-faculty-results', { faculty: loadFaculty })
+], async (req, res) => {
+  try {
+    const { faculty } = req.resources;
+
+    const query = { faculty: faculty._id };
+    if (req.query.term) query.term = req.query.term;
+
+    const surveys = await Survey.find(query)
+      .populate(SURVEY_DETAILS)
+      .sort({ closesAt: -1 });
+    const shown = surveys.filter(survey => survey.isClosed() && survey.hasEnoughResponses());
+
+    const results = [];
+    for (const survey of shown) {
+      const { responseCount, instructors } = await getSurveyResults(survey, { faculty: faculty._id });
+      results.push({
+        survey: survey._id,
+        offering: survey.offering,
+        term: survey.term,
+        responseCount,
+        questions: instructors.length > 0 ? instructors[0].questions : []
+      });
+    }
+
+    // Mean of every rating the faculty member received
+    const ratings = results.flatMap(result => result.questions.filter(question => question.type === 'likert'));
+    const answered = ratings.reduce((sum, question) => sum + question.answered, 0);
+    const overallAverage = answered > 0
+      ? Math.round(ratings.reduce((sum, question) => sum + question.average * question.answered, 0) / answered * 100) / 100
+      : null;
+
+    res.json({
+      faculty: { _id: faculty._id, name: faculty.fullName, department: faculty.department },
+      overallAverage,
+      surveys: results,
+      // Surveys still open or short of their minimum response count
+      withheld: surveys.length - shown.length
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(400).json({ msg: 'Invalid term id' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/surveys/:id/responses
+// @desc    Answer a survey once, anonymously
+// @access  Private (Student)
+router.post('/:id/responses', [
+  auth,
+  authorize('survey:respond', { survey: loadSurveyWithOffering }),
+  [
+    check('answers', 'Answers must be a list').isArray(),
+    check('answers.*.question', 'Each answer needs a question id').isMongoId(),
+    check('answers.*.faculty', 'Faculty must be a faculty id').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { survey, profile: student } = req.resources;
+
+    if (!survey.isOpen()) {
+      return res.status(400).json({ msg: 'This survey is not open for responses' });
+    }
+
+    let answers;
+    try {
+      answers = survey.normalizeAnswers(req.body.answers);
+    } catch (err) {
+      return res.status(400).json({ msg: err.message });
+    }
+
+    if (!(await survey.respond(student._id, answers))) {
+      return res.status(400).json({ msg: 'You have already responded to this survey' });
+    }
+
+    res.status(201).json({ msg: 'Response recorded anonymously' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/surveys/:id/results
+// @desc    Get a survey's aggregated results once it has closed with enough responses
+// @access  Private (Admin, Head of department or Offering faculty)
+router.get('/:id/results', [
+  auth.privileged,
+  authorize('survey:read-results', { survey: loadSurvey })
+], async (req, res) => {
+  try {
+    const { survey, profile } = req.resources;
+
+    if (!survey.isClosed()) {
+      return res.status(403).json({
+        msg: 'Results are shown once the survey has closed',
+        closesAt: survey.closesAt
+      });
+    }
+    if (!survey.hasEnoughResponses()) {
+      return res.status(403).json({
+        msg: `Results are shown once at least ${survey.minResponses} students have responded`,
+        responseCount: survey.responseCount,
+        minResponses: survey.minResponses
+      });
+    }
+
+    // Instructors see their own feedback; heads and admins see everyone's
+    const seesAll = can(req.user, 'survey:read-all-instructors', req.resources);
+
+    await survey.populate(SURVEY_DETAILS);
+    const results = await getSurveyResults(survey, seesAll ? {} : { faculty: profile._id });
+
+    res.json({
+      survey: survey._id,
+      offering: survey.offering,
+      term: survey.term,
+      closesAt: survey.closesAt,
+      ...results
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
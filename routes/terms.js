@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const Term = require('../models/Term');
+const Offering = require('../models/Offering');
+
+const loadTerm = fromParam(Term, 'id', 'Term not found');
+
+const DEADLINE_FIELDS = ['addDeadline', 'dropDeadline', 'withdrawDeadline'];
+
+// @route   POST /api/terms
+// @desc    Create an academic term
+// @access  Private (Admin only)
+router.post('/', [
+  auth.privileged,
+  authorize('term:manage'),
+  [
+    check('code', 'Term code is required').notEmpty(),
+    check('name', 'Term name is required').notEmpty(),
+    check('academicYear', 'Academic year must look like 2025-26').matches(/^\d{4}-\d{2}$/),
+    check('startDate', 'Start date is required').isISO8601().toDate(),
+    check('endDate', 'End date must be after the start date').isISO8601().toDate()
+      .custom((endDate, { req }) => endDate > req.body.startDate),
+    check(DEADLINE_FIELDS, 'Deadlines must be valid dates').optional().isISO8601().toDate(),
+    check('status', 'Status must be upcoming, active or completed').optional()
+      .isIn(['upcoming', 'active', 'completed'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { code, name, academicYear, startDate, endDate, addDeadline, dropDeadline, withdrawDeadline, status } = req.body;
+
+    const term = await Term.create({
+      code, name, academicYear, startDate, endDate, addDeadline, dropDeadline, withdrawDeadline, status
+    });
+    res.status(201).json(term);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Term code already exists' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/terms
+// @desc    List academic terms, newest first
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const terms = await Term.find(query).sort({ startDate: -1 });
+    res.json(terms);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/terms/current
+// @desc    Get the term in progress
+// @access  Public
+router.get('/current', async (req, res) => {
+  try {
+    const term = await Term.findCurrent();
+    if (!term) {
+      return res.status(404).json({ msg: 'No term is in progress' });
+    }
+
+    res.json(term);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT /api/terms/:id
+// @desc    Update an academic term
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth.privileged,
+  authorize('term:manage', { term: loadTerm }),
+  [
+    check('academicYear', 'Academic year must look like 2025-26').optional().matches(/^\d{4}-\d{2}$/),
+    check(['startDate', 'endDate', ...DEADLINE_FIELDS], 'Dates must be valid').optional().isISO8601().toDate(),
+    check('status', 'Status must be upcoming, active or completed').optional()
+      .isIn(['upcoming', 'active', 'completed'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { term } = req.resources;
+
+    ['code', 'name', 'academicYear', 'startDate', 'endDate', ...DEADLINE_FIELDS, 'status']
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { term[field] = req.body[field]; });
+
+    await term.save();
+    res.json(term);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'Term code already exists' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/terms/:id/publish-results
+// @desc    Publish the term's results, locking its grades
+// @access  Private (Admin only)
+router.post('/:id/publish-results', [auth.privileged, authorize('term:manage', { term: loadTerm })], async (req, res) => {
+  try {
+    const { term } = req.resources;
+
+    if (term.areResultsPublished()) {
+      return res.status(400).json({ msg: 'Results for this term have already been published' });
+    }
+
+    // Grades still Incomplete stay so; they are finalised through change requests
+    const incomplete = await Offering.aggregate([
+      { $match: { term: term._id } },
+      { $unwind: '$enrolledStudents' },
+      { $match: { 'enrolledStudents.grade': 'I' } },
+      { $count: 'count' }
+    ]);
+
+    term.resultsPublishedAt = Date.now();
+    term.resultsPublishedBy = req.user.id;
+    await term.save();
+
+    res.json({ term, incompleteGrades: incomplete.length > 0 ? incomplete[0].count : 0 });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/terms/:id
+// @desc    Delete a term with no offerings
+// @access  Private (Admin only)
+router.delete('/:id', [auth.privileged, authorize('term:manage', { term: loadTerm })], async (req, res) => {
+  try {
+    const { term } = req.resources;
+
+    if (await Offering.exists({ term: term._id })) {
+      return res.status(400).json({ msg: 'Cannot delete a term that has course offerings' });
+    }
+
+    await term.deleteOne();
+    res.json({ msg: 'Term removed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
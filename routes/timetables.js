@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { fromParam } = authorize;
+const Term = require('../models/Term');
+const TimetableProposal = require('../models/TimetableProposal');
+const { DAYS } = TimetableProposal;
+const { generateTimetable, isProposalStale, findBookingClashes, applyTimetable } = require('../utils/timetable');
+
+const loadProposal = fromParam(TimetableProposal, 'id', 'Timetable proposal not found');
+
+// Show each placed or unplaced offering with its course
+const PROPOSAL_OFFERINGS = ['assignments.offering', 'unscheduled.offering'].map(path => ({
+  path,
+  select: 'course section capacity faculty',
+  populate: { path: 'course', select: 'courseCode courseName credits' }
+}));
+
+const TIME_FORMAT = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// @route   POST /api/timetables
+// @desc    Generate a clash-free timetable proposal for a department semester's offerings in a term
+// @access  Private (Admin only)
+router.post('/', [
+  auth.privileged,
+  authorize('timetable:manage'),
+  [
+    check('term', 'Term is required').isMongoId(),
+    check('department', 'Department is required').notEmpty(),
+    check('semester', 'Semester must be between 1 and 8').isInt({ min: 1, max: 8 }).toInt(),
+    check('rooms', 'At least one room is required').isArray({ min: 1 }),
+    check('rooms.*.name', 'Room name is required').notEmpty(),
+    check('rooms.*.capacity', 'Room capacity must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('slots', 'At least one time slot is required').isArray({ min: 1 }),
+    check(['slots.*.startTime', 'slots.*.endTime'], 'Times must use the HH:MM format').matches(TIME_FORMAT),
+    check('slots.*.endTime', 'A slot must end after it starts')
+      .custom((endTime, { req, path }) => {
+        const { startTime } = req.body.slots[Number(/\[(\d+)\]/.exec(path)[1])];
+        return !TIME_FORMAT.test(startTime) || toMinutes(endTime) > toMinutes(startTime);
+      }),
+    check('days', `Days must be one of: ${DAYS.join(', ')}`).optional().isArray({ min: 1 }),
+    check('days.*', `Days must be one of: ${DAYS.join(', ')}`).isIn(DAYS)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { term, department, semester, rooms, slots } = req.body;
+
+    if (!(await Term.exists({ _id: term }))) {
+      return res.status(404).json({ msg: 'Term not found' });
+    }
+
+    // Keep the week in order whatever order the days were sent in
+    const days = req.body.days && DAYS.filter(day => req.body.days.includes(day));
+
+    const proposal = await generateTimetable({
+      term,
+      department,
+      semester,
+      rooms: rooms.map(({ name, capacity }) => ({ name, capacity })),
+      slots: slots.map(({ startTime, endTime }) => ({ startTime, endTime })),
+      days,
+      createdBy: req.user.id
+    });
+
+    await proposal.populate(PROPOSAL_OFFERINGS);
+    res.status(201).json(proposal);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/timetables
+// @desc    List timetable proposals, optionally for a term or department semester
+// @access  Private (Admin only)
+router.get('/', [auth.privileged, authorize('timetable:manage')], async (req, res) => {
+  try {
+    const { term, department, semester, status } = req.query;
+
+    const query = {};
+    if (term) query.term = term;
+    if (department) query.department = department;
+    if (semester) query.semester = semester;
+    if (status) query.status = status;
+
+    const proposals = await TimetableProposal.find(query)
+      .select('-assignments -unscheduled')
+      .sort({ createdAt: -1 });
+
+    res.json(proposals);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET /api/timetables/:id
+// @desc    Preview a timetable proposal
+// @access  Private (Admin only)
+router.get('/:id', [
+  auth.privileged,
+  authorize('timetable:manage', { proposal: loadProposal })
+], async (req, res) => {
+  try {
+    const { proposal } = req.resources;
+
+    await proposal.populate(PROPOSAL_OFFERINGS);
+    res.json(proposal);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST /api/timetables/:id/apply
+// @desc    Write a draft proposal's schedules to its offerings in one step
+// @access  Private (Admin only)
+router.post('/:id/apply', [
+  auth.privileged,
+  authorize('timetable:manage', { proposal: loadProposal })
+], async (req, res) => {
+  try {
+    const { proposal } = req.resources;
+
+    if (proposal.status !== 'draft') {
+      return res.status(400).json({ msg: `Proposal has already been ${proposal.status}` });
+    }
+
+    // The solver worked from the offerings as they were; don't overwrite later edits
+    if (await isProposalStale(proposal)) {
+      return res.status(409).json({ msg: 'Offerings have changed since this proposal was generated, generate a new one' });
+    }
+
+    // Offerings outside the proposal may have been scheduled since
+    const conflicts = await findBookingClashes(proposal);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ msg: 'Schedule conflict with offerings outside this proposal', conflicts });
+    }
+
+    await applyTimetable(proposal, req.user.id);
+    res.json(proposal);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE /api/timetables/:id
+// @desc    Discard a draft proposal
+// @access  Private (Admin only)
+router.delete('/:id', [
+  auth.privileged,
+  authorize('timetable:manage', { proposal: loadProposal })
+], async (req, res) => {
+  try {
+    const { proposal } = req.resources;
+
+    if (proposal.status !== 'draft') {
+      return res.status(400).json({ msg: `Proposal has already been ${proposal.status}` });
+    }
+
+    proposal.status = 'discarded';
+    await proposal.save();
+    res.json({ msg: 'Proposal discarded' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const Transcript = require('../models/Transcript');
+
+// @route   GET /api/transcripts/verify/:code
+// @desc    Confirm a transcript is genuine from the code printed on it
+// @access  Public
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const transcript = await Transcript.findByCode(req.params.code);
+    if (!transcript) {
+      return res.status(404).json({ valid: false, msg: 'No transcript was issued with this code' });
+    }
+
+    // Only what the transcript itself shows, so a code reveals nothing more
+    res.json({
+      valid: true,
+      code: transcript.code,
+      issuedAt: transcript.createdAt,
+      studentName: transcript.studentName,
+      rollNumber: transcript.rollNumber,
+      cgpa: transcript.cgpa,
+      creditsEarned: transcript.creditsEarned,
+      standing: transcript.standing,
+      digest: transcript.digest
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,17 @@
-// server/Routes/userRoutes.js
+// server/routes/userRoutes.js
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { completeLogin } = require('../utils/tokens');
+const { AuthError, login } = require('../utils/authService');
+const { checkPassword, validationErrors } = require('../utils/passwordPolicy');
 
 const router = express.Router();
 
 // Registration route
 router.post('/register', [
   body('username').notEmpty().withMessage('Username is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
+  checkPassword(),
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -27,10 +29,13 @@ router.post('/register', [
     const newUser = new User({ username, password });
     await newUser.save();
 
-    const token = jwt.sign({ userId: newUser._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const tokens = await completeLogin(newUser, req);
 
-    res.status(201).json({ token, user: { id: newUser._id, username: newUser.username } });
+    res.status(201).json({ ...tokens, user: { id: newUser._id, username: newUser.username } });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ errors: validationErrors(error) });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -49,20 +54,13 @@ router.post('/login', [
   const { username, password } = req.body;
 
   try {
-    const user = await User.findOne({ username });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
-
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const { user, tokens } = await login(username, password, req);
 
-    res.json({ token, user: { id: user._id, username: user.username } });
+    res.json({ ...tokens, user: { id: user._id, username: user.username } });
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
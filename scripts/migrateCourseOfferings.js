@@ -0,0 +1,208 @@
+// server/scripts/migrateCourseOfferings.js
+// Moves the per-term data that used to live on Course documents (faculty,
+// capacity, schedule, enrollments with grades, waitlist and assessments)
+// onto an offering of the course in one term, then strips those fields
+// from the course so it only holds catalog data. Courses without the old
+// fields are skipped, so the script is safe to run again.
+//
+// Student documents kept their own copy of their enrollments in `courses`.
+// Any enrollment found only there is added to the course's offering with
+// its grade, then the field is removed. Its per-course attendance counts
+// are dropped: no route ever updated them. Faculty documents likewise
+// listed the courses they taught in `courses`; each becomes an instructor
+// assignment on the course's offering and the field is removed.
+//
+// The term is found by code or created from:
+//   MIGRATION_TERM_CODE (default LEGACY), MIGRATION_TERM_NAME,
+//   MIGRATION_TERM_YEAR (e.g. 2025-26), MIGRATION_TERM_START, MIGRATION_TERM_END
+// Usage: node scripts/migrateCourseOfferings.js [--dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const Offering = require('../models/Offering');
+const Student = require('../models/Student');
+const Term = require('../models/Term');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const LEGACY_FIELDS = ['faculty', 'capacity', 'enrolledStudents', 'waitlist', 'schedule', 'assessments'];
+
+const findOrCreateTerm = async () => {
+  const code = (process.env.MIGRATION_TERM_CODE || 'LEGACY').toUpperCase();
+  const existing = await Term.findOne({ code });
+  if (existing) return existing;
+
+  const { MIGRATION_TERM_NAME, MIGRATION_TERM_YEAR, MIGRATION_TERM_START, MIGRATION_TERM_END } = process.env;
+  if (!MIGRATION_TERM_YEAR || !MIGRATION_TERM_START || !MIGRATION_TERM_END) {
+    throw new Error(`Term ${code} does not exist; set MIGRATION_TERM_YEAR, MIGRATION_TERM_START and MIGRATION_TERM_END to create it`);
+  }
+
+  const term = new Term({
+    code,
+    name: MIGRATION_TERM_NAME || `Term ${code}`,
+    academicYear: MIGRATION_TERM_YEAR,
+    startDate: MIGRATION_TERM_START,
+    endDate: MIGRATION_TERM_END,
+    status: 'active'
+  });
+  await term.validate();
+  if (!DRY_RUN) await term.save();
+  console.log(`${DRY_RUN ? 'Would create' : 'Created'} term ${code}`);
+  return term;
+};
+
+// Find a course's section A offering in the term. `offerings` maps course
+// ids to the offerings made this run, which a dry run never saves.
+const offeringLookup = (term, offerings) => async (courseId) => {
+  const key = courseId.toString();
+  if (!offerings.has(key)) {
+    offerings.set(key, await Offering.findOne({ course: courseId, term: term._id, section: 'A' }));
+  }
+  return offerings.get(key);
+};
+
+// Merge the enrollments recorded only on students into the term's
+// offerings. Returns the number of students whose courses couldn't all be
+// placed.
+const migrateStudentCourses = async (term, offeringFor) => {
+  const students = await Student.collection.find({ courses: { $exists: true } }).toArray();
+
+  let merged = 0;
+  let unplaced = 0;
+  for (const student of students) {
+    let complete = true;
+    for (const entry of student.courses || []) {
+      const offering = entry.course && await offeringFor(entry.course);
+      if (!offering) {
+        complete = false;
+        console.error(`${student.rollNumber}: no ${term.code} offering for course ${entry.course}, left in place`);
+        continue;
+      }
+      if (offering.isEnrolled(student._id)) continue;
+
+      offering.enrolledStudents.push({
+        student: student._id,
+        enrollmentDate: entry.enrollmentDate,
+        grade: entry.grade
+      });
+      if (!DRY_RUN) await offering.save();
+      merged++;
+    }
+
+    if (!complete) {
+      unplaced++;
+    } else if (!DRY_RUN) {
+      await Student.collection.updateOne({ _id: student._id }, { $unset: { courses: '' } });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}${merged} enrollment(s) merged from ${students.length} student(s), ` +
+    `${unplaced} left with courses to place by hand`);
+  return unplaced;
+};
+
+// Make the courses faculty members listed on their profile instructor
+// assignments on the term's offerings. Returns the number of faculty
+// members whose courses couldn't all be placed.
+const migrateFacultyCourses = async (term, offeringFor) => {
+  const facultyMembers = await Faculty.collection.find({ courses: { $exists: true } }).toArray();
+
+  let assigned = 0;
+  let unplaced = 0;
+  for (const member of facultyMembers) {
+    let complete = true;
+    for (const courseId of member.courses || []) {
+      const offering = await offeringFor(courseId);
+      if (!offering) {
+        complete = false;
+        console.error(`${member.employeeId}: no ${term.code} offering for course ${courseId}, left in place`);
+        continue;
+      }
+      if (offering.faculty.some(id => id.equals(member._id))) continue;
+
+      offering.faculty.push(member._id);
+      if (!DRY_RUN) await offering.save();
+      assigned++;
+    }
+
+    if (!complete) {
+      unplaced++;
+    } else if (!DRY_RUN) {
+      await Faculty.collection.updateOne({ _id: member._id }, { $unset: { courses: '' } });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}${assigned} instructor assignment(s) added from ` +
+    `${facultyMembers.length} faculty member(s), ${unplaced} left with courses to place by hand`);
+  return unplaced;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const term = await findOrCreateTerm();
+
+  // Read the raw documents: the Course schema no longer knows the old fields
+  const courses = await Course.collection
+    .find({ $or: LEGACY_FIELDS.map(field => ({ [field]: { $exists: true } })) })
+    .toArray();
+
+  let created = 0;
+  let skipped = 0;
+  const offerings = new Map();
+  for (const course of courses) {
+    const exists = await Offering.exists({ course: course._id, term: term._id, section: 'A' });
+
+    if (!exists) {
+      const enrolledStudents = course.enrolledStudents || [];
+      const offering = new Offering({
+        course: course._id,
+        term: term._id,
+        section: 'A',
+        faculty: course.faculty || [],
+        capacity: course.capacity || Math.max(enrolledStudents.length, 1),
+        enrolledStudents,
+        waitlist: course.waitlist || [],
+        schedule: course.schedule,
+        assessments: course.assessments || []
+      });
+      try {
+        await offering.validate();
+      } catch (err) {
+        // e.g. assessment weightages that don't add up to 100; fix the
+        // course by hand and run the script again
+        skipped++;
+        console.error(`${course.courseCode}: skipped, ${err.message}`);
+        continue;
+      }
+      if (!DRY_RUN) await offering.save();
+      offerings.set(course._id.toString(), offering);
+      created++;
+      console.log(`${course.courseCode}: ${enrolledStudents.length} enrollment(s) moved to ${term.code} section A`);
+    } else {
+      console.log(`${course.courseCode}: offering already exists, clearing old fields`);
+    }
+
+    if (!DRY_RUN) {
+      const unset = Object.fromEntries(LEGACY_FIELDS.map(field => [field, '']));
+      await Course.collection.updateOne({ _id: course._id }, { $unset: unset });
+    }
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}${courses.length - skipped} course(s) migrated, ` +
+    `${created} offering(s) created, ${skipped} skipped`);
+  const offeringFor = offeringLookup(term, offerings);
+  const unplacedStudents = await migrateStudentCourses(term, offeringFor);
+  const unplacedFaculty = await migrateFacultyCourses(term, offeringFor);
+  if (skipped > 0 || unplacedStudents > 0 || unplacedFaculty > 0) process.exitCode = 1;
+};
+
+migrate()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,99 @@
+// server/scripts/mockOidcProvider.js
+// A tiny OpenID Connect provider for trying single sign-on locally.
+// It signs in every authorization request as MOCK_OIDC_USER without a
+// login page. Point the server at it with:
+//   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=kluerp
+//   OIDC_REDIRECT_URI=http://localhost:3000/api/auth/oidc/callback
+// Usage: node scripts/mockOidcProvider.js
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const KID = 'mock-key';
+
+// Claims for the signed-in user; override with a JSON string
+const user = process.env.MOCK_OIDC_USER
+  ? JSON.parse(process.env.MOCK_OIDC_USER)
+  : {
+    sub: 'mock-user-1',
+    email: 'student@example.edu',
+    email_verified: true,
+    preferred_username: 'mockstudent',
+    roles: ['students']
+  };
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pendingCodes = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: challenge } = req.query;
+  if (!clientId || !redirectUri || !challenge) {
+    return res.status(400).send('client_id, redirect_uri and code_challenge are required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  pendingCodes.set(code, { clientId, redirectUri, nonce, challenge });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, client_id: clientId, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (!pending || pending.clientId !== clientId || pending.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  const expected = base64url(crypto.createHash('sha256').update(verifier || '').digest());
+  if (expected !== pending.challenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...user, nonce: pending.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => console.log(`Mock OIDC provider running on ${ISSUER}`));
@@ -1,13 +1,32 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+
+// Load .env before the routes: config/ modules read process.env when required
+dotenv.config();
+
 const authRoutes = require('./routes/auth');
+const sessionRoutes = require('./routes/sessions');
+const mfaRoutes = require('./routes/mfa');
+const impersonationRoutes = require('./routes/impersonation');
+const oidcRoutes = require('./routes/oidc');
 const courseRoutes = require('./routes/courses');
+const termRoutes = require('./routes/terms');
+const offeringRoutes = require('./routes/offerings');
+const gradingScaleRoutes = require('./routes/gradingScales');
+const gradeChangeRoutes = require('./routes/gradeChanges');
+const programRoutes = require('./routes/programs');
 const facultyRoutes = require('./routes/faculty');
 const studentRoutes = require('./routes/students');
-const userRoutes = require('./Routes/userRoutes'); // Import only once
-
-dotenv.config();
+const settingRoutes = require('./routes/settings');
+const apiKeyRoutes = require('./routes/apiKeys');
+const timetableRoutes = require('./routes/timetables');
+const calendarRoutes = require('./routes/calendar');
+const transcriptRoutes = require('./routes/transcripts');
+const surveyTemplateRoutes = require('./routes/surveyTemplates');
+const surveyRoutes = require('./routes/surveys');
+const userRoutes = require('./routes/userRoutes'); // Import only once
+const { processExpiredOffers } = require('./utils/waitlist');
 
 const app = express();
 
@@ -21,10 +40,32 @@ mongoose.connect(process.env.MONGODB_URI)
 
 // Routes
 app.use('/api/users', userRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/impersonate', impersonationRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
+app.use('/api/terms', termRoutes);
+app.use('/api/offerings', offeringRoutes);
+app.use('/api/grading-scales', gradingScaleRoutes);
+app.use('/api/grade-changes', gradeChangeRoutes);
+app.use('/api/programs', programRoutes);
 app.use('/api/faculty', facultyRoutes);
 app.use('/api/students', studentRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/apikeys', apiKeyRoutes);
+app.use('/api/timetables', timetableRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/transcripts', transcriptRoutes);
+app.use('/api/survey-templates', surveyTemplateRoutes);
+app.use('/api/surveys', surveyRoutes);
+
+// Pass lapsed waitlist offers on to the next students in line
+const WAITLIST_SWEEP_INTERVAL = 15 * 60 * 1000;
+setInterval(() => {
+  processExpiredOffers().catch(err => console.error(err.message));
+}, WAITLIST_SWEEP_INTERVAL);
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
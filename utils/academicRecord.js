@@ -0,0 +1,171 @@
+// server/utils/academicRecord.js
+// SGPA, CGPA and backlogs derived from a student's grades across every
+// offering they have taken. Grade points come from the grading scale of
+// each course's department, weighted by the course's credits.
+//
+// - SGPA covers every graded attempt in a term, fails included.
+// - CGPA counts each course once, at its best attempt (the latest on a
+//   tie), so repeating a failed course or taking it again to improve
+//   replaces the earlier grade. A course never passed counts at 0 points.
+// - A backlog is a course whose best attempt is still a fail.
+// I (incomplete), W (withdrawn) and letters not on the scale carry no
+// points and are left out of every average.
+const Offering = require('../models/Offering');
+const Student = require('../models/Student');
+const GradingScale = require('../models/GradingScale');
+
+const round = value => Math.round(value * 100) / 100;
+
+// Lowest CGPA for each class of standing, best first
+const STANDINGS = [
+  { minCgpa: 7.5, standing: 'First class with distinction' },
+  { minCgpa: 6, standing: 'First class' },
+  { minCgpa: 5, standing: 'Second class' },
+  { minCgpa: 0, standing: 'Pass class' }
+];
+
+const standingFor = (cgpa, backlogCount) => {
+  if (cgpa === null) return 'Not yet graded';
+  if (backlogCount > 0) return 'Backlogs pending';
+  return STANDINGS.find(entry => cgpa >= entry.minCgpa).standing;
+};
+
+const gradePointAverage = (attempts) => {
+  const credits = attempts.reduce((sum, attempt) => sum + attempt.credits, 0);
+  const weighted = attempts.reduce((sum, attempt) => sum + attempt.points * attempt.credits, 0);
+  return credits > 0 ? round(weighted / credits) : null;
+};
+
+// Load every attempt the student has made, oldest term first, with the
+// grade points their course's department scale gives them
+const loadAttempts = async (studentId) => {
+  const offerings = await Offering.find({ 'enrolledStudents.student': studentId })
+    .select('course term section enrolledStudents.student enrolledStudents.grade')
+    .populate('course', 'courseCode courseName credits department')
+    .populate('term', 'code name academicYear startDate resultsPublishedAt');
+
+  const scales = new Map();
+  const scaleFor = async (department) => {
+    if (!scales.has(department)) {
+      scales.set(department, await GradingScale.forDepartment(department));
+    }
+    return scales.get(department);
+  };
+
+  const attempts = [];
+  for (const offering of offerings) {
+    const { grade } = offering.enrolledStudents.find(enrollment => enrollment.student.equals(studentId));
+    const scale = await scaleFor(offering.course.department);
+    attempts.push({
+      offering: offering._id,
+      section: offering.section,
+      course: offering.course,
+      term: offering.term,
+      credits: offering.course.credits,
+      grade,
+      points: scale.pointsFor(grade),
+      passed: scale.isPassing(grade)
+    });
+  }
+
+  return attempts.sort((a, b) => a.term.startDate - b.term.startDate);
+};
+
+// Work out the summary from a student's attempts (see loadAttempts)
+const summarize = (attempts) => {
+  const graded = attempts.filter(attempt => attempt.points !== null);
+
+  // Best attempt per course; later attempts win ties
+  const best = new Map();
+  graded.forEach(attempt => {
+    const key = attempt.course._id.toString();
+    const current = best.get(key);
+    if (!current || attempt.points >= current.points) {
+      best.set(key, attempt);
+    }
+  });
+  const counted = [...best.values()];
+
+  const status = (attempt) => {
+    if (attempt.grade === 'W') return 'withdrawn';
+    if (attempt.points === null) return 'in-progress';
+    return counted.includes(attempt) ? 'counted' : 'superseded';
+  };
+
+  const terms = [];
+  attempts.forEach(attempt => {
+    let entry = terms.find(item => item.term._id.equals(attempt.term._id));
+    if (!entry) {
+      entry = { term: attempt.term, attempts: [] };
+      terms.push(entry);
+    }
+    entry.attempts.push(attempt);
+  });
+
+  const backlogs = counted.filter(attempt => !attempt.passed);
+  const cgpa = gradePointAverage(counted);
+
+  return {
+    cgpa,
+    standing: standingFor(cgpa, backlogs.length),
+    creditsAttempted: counted.reduce((sum, attempt) => sum + attempt.credits, 0),
+    creditsEarned: counted.filter(attempt => attempt.passed).reduce((sum, attempt) => sum + attempt.credits, 0),
+    backlogCount: backlogs.length,
+    backlogs: backlogs.map(attempt => ({
+      course: attempt.course,
+      lastAttemptTerm: attempt.term,
+      grade: attempt.grade
+    })),
+    terms: terms.map(({ term, attempts: termAttempts }) => {
+      const termGraded = termAttempts.filter(attempt => attempt.points !== null);
+      return {
+        term,
+        sgpa: gradePointAverage(termGraded),
+        credits: termGraded.reduce((sum, attempt) => sum + attempt.credits, 0),
+        courses: termAttempts.map(attempt => ({
+          offering: attempt.offering,
+          section: attempt.section,
+          course: attempt.course,
+          credits: attempt.credits,
+          grade: attempt.grade,
+          points: attempt.points,
+          status: status(attempt)
+        }))
+      };
+    })
+  };
+};
+
+// Pass `publishedOnly` to leave out terms whose results aren't published yet
+const getAcademicSummary = async (studentId, { publishedOnly = false } = {}) => {
+  const attempts = await loadAttempts(studentId);
+  return summarize(publishedOnly ? attempts.filter(attempt => attempt.term.areResultsPublished()) : attempts);
+};
+
+// Store a student's current CGPA and backlog count on their profile
+const refreshAcademicRecord = async (studentId) => {
+  const { cgpa, backlogCount } = await getAcademicSummary(studentId);
+  await Student.updateOne(
+    { _id: studentId },
+    { $set: { 'academic.cgpa': cgpa || 0, 'academic.backlogCount': backlogCount } }
+  );
+};
+
+// Refresh several students, logging rather than throwing on failure so a
+// saved grade change isn't reported as failed
+const refreshAcademicRecords = async (studentIds) => {
+  for (const studentId of studentIds) {
+    try {
+      await refreshAcademicRecord(studentId);
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+};
+
+module.exports = {
+  summarize,
+  getAcademicSummary,
+  refreshAcademicRecord,
+  refreshAcademicRecords
+};
@@ -0,0 +1,107 @@
+// server/utils/authService.js
+// Single entry point for password logins. Every login route goes through
+// here so lockout, lastLogin and token payloads behave the same everywhere.
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const { completeLogin } = require('./tokens');
+
+// HTTP status for each findByCredentials error code
+const STATUS_BY_CODE = {
+  INVALID_CREDENTIALS: 400,
+  ACCOUNT_LOCKED: 423,
+  ACCOUNT_INACTIVE: 403
+};
+
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Let the account owner know their account has just been locked
+const notifyAccountLocked = async (user) => {
+  const message = `Your account has been locked after too many failed login attempts. ` +
+    `You can try again after ${new Date(user.lockUntil).toUTCString()}. ` +
+    `If this wasn't you, we recommend resetting your password.`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Account locked',
+      message
+    });
+  } catch (err) {
+    // Never fail the login response because the mail server is down
+    console.error(err.message);
+  }
+};
+
+// Email a link to change an expired password. It goes by email rather than
+// in the login response so the old password alone can't get past the
+// second factor, and so /resetpassword can treat the address as proven.
+const sendPasswordExpiredEmail = async (user, resetToken, req) => {
+  const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+  const message = `Your password has expired and must be changed before you can log in. ` +
+    `Please make a PUT request within 1 hour to: \n\n ${resetUrl}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: 'Your password has expired',
+      message
+    });
+  } catch (err) {
+    // The user can still request a new link through forgot password
+    console.error(err.message);
+  }
+};
+
+// Record a failed second-factor attempt, notifying the user if it locks them out
+const recordFailedAttempt = async (user) => {
+  if (await user.incrementLoginAttempts()) {
+    await notifyAccountLocked(user);
+  }
+};
+
+// Authenticate with username and password. Resolves to the user and the
+// tokens (or mfa pending / password expired notice) to send back; rejects
+// with an AuthError.
+const login = async (username, password, req) => {
+  let user;
+
+  try {
+    user = await User.findByCredentials(username, password);
+  } catch (err) {
+    if (!STATUS_BY_CODE[err.code]) throw err;
+
+    if (err.user) {
+      await notifyAccountLocked(err.user);
+    }
+    throw new AuthError(
+      err.code === 'INVALID_CREDENTIALS' ? 'Invalid Credentials' : err.message,
+      STATUS_BY_CODE[err.code]
+    );
+  }
+
+  // An expired password must be changed before any tokens are issued; the
+  // link to change it is emailed to the account's owner
+  if (user.isPasswordExpired()) {
+    const resetToken = user.generatePasswordResetToken();
+    await user.save();
+    await sendPasswordExpiredEmail(user, resetToken, req);
+    return {
+      user,
+      tokens: { passwordExpired: true, msg: 'Password has expired; a link to change it has been emailed to you' }
+    };
+  }
+
+  return { user, tokens: await completeLogin(user, req) };
+};
+
+module.exports = {
+  AuthError,
+  login,
+  recordFailedAttempt
+};
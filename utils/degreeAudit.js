@@ -0,0 +1,166 @@
+// server/utils/degreeAudit.js
+// Compare a student's results against their degree program: which required
+// courses and elective credits are done, in progress or outstanding, and
+// whether they can graduate now or would once their current courses are
+// passed.
+const Program = require('../models/Program');
+const { getAcademicSummary } = require('./academicRecord');
+
+const PROGRAM_COURSE_FIELDS = 'courseCode courseName credits';
+
+const describe = course => ({
+  _id: course._id,
+  courseCode: course.courseCode,
+  courseName: course.courseName,
+  credits: course.credits
+});
+
+// Audit a program (with its courses populated) against an academic summary.
+// Courses deleted from the catalog since the program was defined populate
+// as null; they are reported rather than audited.
+const auditDegree = (program, summary) => {
+  const attempts = summary.terms.flatMap(({ term, courses }) =>
+    courses.map(attempt => ({ ...attempt, term })));
+
+  // Best passed attempt of each course, and courses being taken now
+  const passed = new Map();
+  const inProgress = new Map();
+  attempts.forEach(attempt => {
+    const key = attempt.course._id.toString();
+    if (attempt.status === 'counted' && attempt.points > 0) {
+      passed.set(key, attempt);
+    } else if (attempt.status === 'in-progress' && attempt.grade === 'I') {
+      inProgress.set(key, attempt);
+    }
+  });
+  passed.forEach((attempt, key) => inProgress.delete(key));
+
+  // Each course satisfies one requirement only
+  const used = new Set();
+
+  const missingCourses = {
+    required: program.requiredCourses.filter(course => !course).length,
+    elective: program.electivePools.reduce((sum, pool) => sum + pool.courses.filter(course => !course).length, 0)
+  };
+
+  const requiredCourses = { satisfied: [], inProgress: [], outstanding: [] };
+  program.requiredCourses.filter(Boolean).forEach(course => {
+    const key = course._id.toString();
+    used.add(key);
+    if (passed.has(key)) {
+      const attempt = passed.get(key);
+      requiredCourses.satisfied.push({ course: describe(course), grade: attempt.grade, term: attempt.term.code });
+    } else if (inProgress.has(key)) {
+      requiredCourses.inProgress.push({ course: describe(course), term: inProgress.get(key).term.code });
+    } else {
+      requiredCourses.outstanding.push({ course: describe(course) });
+    }
+  });
+
+  const electivePools = program.electivePools.map(pool => {
+    const counted = [];
+    const current = [];
+    pool.courses.filter(Boolean).forEach(course => {
+      const key = course._id.toString();
+      if (used.has(key)) return;
+      if (passed.has(key)) {
+        used.add(key);
+        counted.push({ course: describe(course), grade: passed.get(key).grade });
+      } else if (inProgress.has(key)) {
+        used.add(key);
+        current.push({ course: describe(course) });
+      }
+    });
+
+    const creditsEarned = counted.reduce((sum, entry) => sum + entry.course.credits, 0);
+    const creditsInProgress = current.reduce((sum, entry) => sum + entry.course.credits, 0);
+    return {
+      name: pool.name,
+      minCredits: pool.minCredits,
+      creditsEarned,
+      creditsInProgress,
+      satisfied: creditsEarned >= pool.minCredits,
+      projectedSatisfied: creditsEarned + creditsInProgress >= pool.minCredits,
+      courses: counted,
+      inProgress: current
+    };
+  });
+
+  const creditsInProgress = [...inProgress.values()].reduce((sum, attempt) => sum + attempt.credits, 0);
+  const credits = {
+    required: program.totalCredits,
+    earned: summary.creditsEarned,
+    inProgress: creditsInProgress,
+    outstanding: Math.max(program.totalCredits - summary.creditsEarned, 0)
+  };
+
+  // Backlogs being retaken now would be cleared by passing them
+  const backlogsRetaking = summary.backlogs
+    .filter(backlog => inProgress.has(backlog.course._id.toString())).length;
+  const cgpaMet = summary.cgpa !== null && summary.cgpa >= program.minCgpa;
+
+  const outstanding = [
+    // Can't be passed until the program is corrected
+    ...(missingCourses.required > 0
+      ? [`${missingCourses.required} required course(s) no longer exist in the catalog; the program needs updating`]
+      : []),
+    ...requiredCourses.outstanding.map(({ course }) => `Pass ${course.courseCode} ${course.courseName}`),
+    ...electivePools
+      .filter(pool => !pool.projectedSatisfied)
+      .map(pool => `Earn ${pool.minCredits - pool.creditsEarned - pool.creditsInProgress} more credit(s) from ${pool.name}`),
+    ...(credits.earned + credits.inProgress < credits.required
+      ? [`Earn ${credits.required - credits.earned - credits.inProgress} more credit(s) in total`]
+      : []),
+    ...(summary.backlogCount > backlogsRetaking
+      ? [`Clear ${summary.backlogCount - backlogsRetaking} backlog(s)`]
+      : []),
+    ...(cgpaMet ? [] : [`Raise CGPA to at least ${program.minCgpa}`])
+  ];
+
+  const eligibleToGraduate = missingCourses.required === 0 &&
+    requiredCourses.inProgress.length === 0 &&
+    requiredCourses.outstanding.length === 0 &&
+    electivePools.every(pool => pool.satisfied) &&
+    credits.earned >= credits.required &&
+    summary.backlogCount === 0 &&
+    cgpaMet;
+
+  return {
+    program: {
+      _id: program._id,
+      code: program.code,
+      name: program.name,
+      totalCredits: program.totalCredits,
+      minCgpa: program.minCgpa,
+      missingCourses
+    },
+    requiredCourses,
+    electivePools,
+    credits,
+    cgpa: summary.cgpa,
+    backlogCount: summary.backlogCount,
+    eligibleToGraduate,
+    // Assuming every course in progress is passed. CGPA is taken as it
+    // stands, since the grades still to come aren't known.
+    projectedEligible: outstanding.length === 0,
+    outstanding
+  };
+};
+
+// Audit a student against their branch and batch's program. Returns null
+// if no program has been defined for them.
+const runDegreeAudit = async (student) => {
+  const program = await Program.findForStudent(student).populate({
+    path: 'requiredCourses electivePools.courses',
+    select: PROGRAM_COURSE_FIELDS,
+    options: { retainNullValues: true }
+  });
+  if (!program) return null;
+
+  return auditDegree(program, await getAcademicSummary(student._id));
+};
+
+module.exports = {
+  auditDegree,
+  runDegreeAudit
+};
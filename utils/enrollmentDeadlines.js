@@ -0,0 +1,36 @@
+// server/utils/enrollmentDeadlines.js
+// The term's add, drop and withdrawal deadlines as every enrollment route
+// applies them. Admins may act past a deadline by sending
+// `overrideDeadline: true`; for anyone else the flag is ignored.
+const Term = require('../models/Term');
+const { can } = require('./permissions');
+
+// Populated references carry their id on _id
+const refId = ref => (ref && ref._id) || ref;
+
+const deadlineOverridden = (req) =>
+  req.body.overrideDeadline === true && can(req.user, 'enrollment:override-deadlines');
+
+const loadTerm = offering => Term.findById(refId(offering.term));
+
+// Whether a student may be added to the offering now
+const addingAllowed = async (req, offering) => {
+  const term = await loadTerm(offering);
+  return !term || term.isAddOpen() || deadlineOverridden(req);
+};
+
+// How a student leaves the offering now: 'drop', 'withdraw', or null when
+// the withdrawal deadline has passed. An admin override past that point
+// withdraws the student, unless the term's results are already published.
+const leaveOutcome = async (req, offering) => {
+  const term = await loadTerm(offering);
+  const outcome = term ? term.leaveOutcome() : 'drop';
+  if (outcome) return outcome;
+  if (term && term.areResultsPublished()) return null;
+  return deadlineOverridden(req) ? 'withdraw' : null;
+};
+
+module.exports = {
+  addingAllowed,
+  leaveOutcome
+};
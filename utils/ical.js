@@ -0,0 +1,268 @@
+// server/utils/ical.js
+// RFC 5545 iCalendar feeds built from offering schedules, assessment
+// deadlines and faculty office hours. Classes and office hours repeat
+// weekly, one recurring event per meeting day; classes run for their term.
+const TIMEZONE = process.env.CALENDAR_TIMEZONE || 'Asia/Kolkata';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'kluerp';
+
+const DAY_CODES = {
+  Sunday: 'SU',
+  Monday: 'MO',
+  Tuesday: 'TU',
+  Wednesday: 'WE',
+  Thursday: 'TH',
+  Friday: 'FR',
+  Saturday: 'SA'
+};
+const DAY_NAMES = Object.keys(DAY_CODES);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Local date-time in the feed's timezone, e.g. 20240902T093000
+const formatLocal = (date, time) => {
+  const [hours, minutes] = time.split(':');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(hours)}${pad(minutes)}00`;
+};
+
+// First date on or after `from` that falls on `day`
+const firstOccurrence = (from, day) => {
+  const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const offset = (DAY_NAMES.indexOf(day) - date.getUTCDay() + 7) % 7;
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date;
+};
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+// Years either side of now that the VTIMEZONE spells out transitions for
+const TIMEZONE_YEARS_BEFORE = 1;
+const TIMEZONE_YEARS_AFTER = 5;
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Minutes the feed's timezone is ahead of UTC at `time` (ms)
+const zoneOffset = (time) => {
+  const parts = Object.fromEntries(zoneFormat.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+// e.g. +0530
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+// UTC offset changes in the window, found day by day and then narrowed
+// to the minute
+const zoneTransitions = (from, to) => {
+  const transitions = [];
+  const DAY = 24 * 3600000;
+  for (let time = from; time < to; time += DAY) {
+    const before = zoneOffset(time);
+    if (zoneOffset(time + DAY) === before) continue;
+
+    let low = time;
+    let high = time + DAY;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (zoneOffset(middle) === before) low = middle; else high = middle;
+    }
+    transitions.push({ at: high, from: before, to: zoneOffset(high) });
+  }
+  return transitions;
+};
+
+// VTIMEZONE for the feed's timezone, which every TZID in the feed refers
+// to. Each offset change in the window is listed as its own observance.
+// Finding them is slow, and the window only moves with the year, so the
+// component is built once per year and reused for every feed.
+let cachedTimezone = { year: null, lines: null };
+
+const timezoneComponent = () => {
+  const year = new Date().getUTCFullYear();
+  if (cachedTimezone.year === year) return cachedTimezone.lines;
+
+  const from = Date.UTC(year - TIMEZONE_YEARS_BEFORE, 0, 1);
+  const to = Date.UTC(year + TIMEZONE_YEARS_AFTER + 1, 0, 1);
+  const transitions = zoneTransitions(from, to);
+
+  // DTSTART is the local time the observance begins, in the offset before it
+  const observance = ({ at, from: offsetFrom, to: offsetTo }, kind) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatUtc(at + offsetFrom * 60000).replace('Z', '')}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`
+  ];
+
+  // The offset in force at the start of the window covers everything before it
+  const initial = zoneOffset(from);
+  const observances = [
+    ...observance({ at: Date.UTC(1970, 0, 1) - initial * 60000, from: initial, to: initial }, 'STANDARD'),
+    ...transitions.flatMap(transition =>
+      observance(transition, transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD'))
+  ];
+
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    property('TZID', TIMEZONE),
+    ...observances,
+    'END:VTIMEZONE'
+  ];
+  cachedTimezone = { year, lines };
+  return lines;
+};
+
+// A weekly event on `day` from `startTime` to `endTime`, starting the
+// first such day on or after `from` and repeating until `until`, if given
+const weeklyEvent = ({ uid, summary, location, description, day, startTime, endTime, from, until }) => {
+  const date = firstOccurrence(new Date(from || Date.now()), day);
+  const rule = `FREQ=WEEKLY;BYDAY=${DAY_CODES[day]}` + (until ? `;UNTIL=${formatUtc(until)}` : '');
+  return [
+    'BEGIN:VEVENT',
+    property('UID', `${uid}@${UID_DOMAIN}`),
+    property('DTSTAMP', formatUtc(Date.now())),
+    property(`DTSTART;TZID=${TIMEZONE}`, formatLocal(date, startTime)),
+    property(`DTEND;TZID=${TIMEZONE}`, formatLocal(date, endTime)),
+    property('RRULE', rule),
+    property('SUMMARY', escapeText(summary)),
+    location && property('LOCATION', escapeText(location)),
+    description && property('DESCRIPTION', escapeText(description)),
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A zero-length event marking a deadline
+const deadlineEvent = ({ uid, summary, description, at }) => [
+  'BEGIN:VEVENT',
+  property('UID', `${uid}@${UID_DOMAIN}`),
+  property('DTSTAMP', formatUtc(Date.now())),
+  property('DTSTART', formatUtc(at)),
+  property('DTEND', formatUtc(at)),
+  property('SUMMARY', escapeText(summary)),
+  description && property('DESCRIPTION', escapeText(description)),
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT'
+].filter(Boolean);
+
+// Class meetings for an offering, one recurring event per day it meets.
+// Offerings must have their course and term populated.
+const classEvents = (offering) => {
+  const { schedule, course, term } = offering;
+  if (!schedule || !schedule.startTime || !schedule.endTime) return [];
+
+  return schedule.days.flatMap(day => weeklyEvent({
+    uid: `offering-${offering.id}-${day.toLowerCase()}`,
+    summary: `${course.courseCode} ${course.courseName} (${offering.section})`,
+    location: schedule.room,
+    day,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    from: term.startDate,
+    // through the last day of term
+    until: new Date(term.endDate).getTime() + 24 * 3600000 - 1000
+  }));
+};
+
+const assessmentEvents = ({ course, assessments }) => assessments
+  .filter(assessment => assessment.deadline)
+  .flatMap(assessment => deadlineEvent({
+    uid: `assessment-${assessment.id}`,
+    summary: `${course.courseCode} ${assessment.type} due`,
+    description: `${course.courseName}: ${assessment.type} (${assessment.weightage}% of the grade)`,
+    at: assessment.deadline
+  }));
+
+const officeHourEvents = (faculty) => faculty.officeHours
+  .filter(period => period.day && period.startTime && period.endTime)
+  .flatMap(period => weeklyEvent({
+    uid: `office-hours-${period.id}`,
+    summary: `Office hours: ${faculty.fullName}`,
+    day: period.day,
+    startTime: period.startTime,
+    endTime: period.endTime,
+    from: faculty.createdAt
+  }));
+
+// Wrap events in a VCALENDAR named `name`
+const buildCalendar = (name, events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//KLUERP//Calendar Feeds//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  property('X-WR-CALNAME', escapeText(name)),
+  property('X-WR-TIMEZONE', TIMEZONE),
+  ...timezoneComponent(),
+  ...events,
+  'END:VCALENDAR'
+].join('\r\n') + '\r\n';
+
+// Enrolled offerings' classes and deadlines
+const studentCalendar = (student, offerings) => buildCalendar(
+  `${student.name.firstName} ${student.name.lastName} - Classes`,
+  offerings.flatMap(offering => [...classEvents(offering), ...assessmentEvents(offering)])
+);
+
+// Taught offerings' classes and deadlines plus office hours
+const facultyCalendar = (faculty, offerings) => buildCalendar(
+  `${faculty.fullName} - Teaching`,
+  [
+    ...offerings.flatMap(offering => [...classEvents(offering), ...assessmentEvents(offering)]),
+    ...officeHourEvents(faculty)
+  ]
+);
+
+// Every class held in a room
+const roomCalendar = (room, offerings) => buildCalendar(
+  `Room ${room}`,
+  offerings.flatMap(classEvents)
+);
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+  studentCalendar,
+  facultyCalendar,
+  roomCalendar
+};
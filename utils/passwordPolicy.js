@@ -0,0 +1,69 @@
+// server/utils/passwordPolicy.js
+const fs = require('fs');
+const path = require('path');
+const { check } = require('express-validator');
+const policy = require('../config/passwordPolicy');
+
+// Loaded once; compared case-insensitively
+const commonPasswords = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Check a plain-text password against the policy, returning every rule it
+// breaks (an empty array means the password is acceptable)
+const validatePassword = (password, { username } = {}) => {
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+    return problems;
+  }
+  if (password.length > policy.maxLength) {
+    problems.push(`Password cannot exceed ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (policy.blockCommon && commonPasswords.has(password.toLowerCase())) {
+    problems.push('Password is too common');
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    problems.push('Password cannot contain your username');
+  }
+
+  return problems;
+};
+
+// express-validator chain enforcing the policy on a request field
+const checkPassword = (field = 'password') => check(field).custom((value, { req }) => {
+  const problems = validatePassword(value, { username: req.body.username });
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
+  return true;
+});
+
+// Format a mongoose ValidationError the same way as express-validator errors
+const validationErrors = (err) => Object.values(err.errors).map(error => ({
+  msg: error.message,
+  path: error.path
+}));
+
+module.exports = {
+  policy,
+  validatePassword,
+  checkPassword,
+  validationErrors
+};
@@ -0,0 +1,67 @@
+// server/utils/pdf.js
+// A small PDF writer for plain text documents. It only uses the standard
+// Helvetica fonts, which every PDF reader has, so nothing is embedded.
+// Characters outside printable ASCII are replaced with '?'.
+const PAGE_WIDTH = 595; // A4, in points
+const PAGE_HEIGHT = 842;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+// Approximate width of Helvetica text, for right-aligning and truncating
+const textWidth = (text, size) => String(text).length * size * 0.5;
+
+// Draw one item: { text, x, y, size, bold } or { line: [x1, y1, x2, y2] }
+const drawItem = (item) => {
+  if (item.line) {
+    const [x1, y1, x2, y2] = item.line;
+    return `0.5 w ${x1} ${y1} m ${x2} ${y2} l S`;
+  }
+  return `BT /${item.bold ? 'F2' : 'F1'} ${item.size || 10} Tf ${item.x} ${item.y} Td (${escapeText(item.text)}) Tj ET`;
+};
+
+// Render pages, each a list of items to draw, into a PDF Buffer.
+// Coordinates are in points from the bottom-left corner of the page.
+const renderPdf = (pages, { title } = {}) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = add(`<< /Title (${escapeText(title || '')}) /Producer (KLUERP) >>`);
+
+  const pageIds = pages.map(items => {
+    const stream = items.map(drawItem).join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(output);
+    output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output);
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  textWidth,
+  renderPdf
+};
@@ -0,0 +1,336 @@
+// server/utils/permissions.js
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const User = require('../models/User');
+
+// Ownership resolvers
+// Each receives (user, context) where context holds the loaded resources
+// plus the requesting user's own Student/Faculty profile.
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const isCourseDepartment = (user, { course, profile }) =>
+  Boolean(course && profile) && course.department === profile.department;
+
+const isOfferingFaculty = (user, { offering, profile }) =>
+  Boolean(offering && profile) && offering.faculty.some(id => sameId(id, profile._id));
+
+// Offerings are loaded with their catalog course populated
+const isOfferingDepartment = (user, { offering, profile }) =>
+  Boolean(offering && offering.course && profile) && offering.course.department === profile.department;
+
+const isEnrolledStudent = (user, { offering, profile }) =>
+  Boolean(offering && profile) && offering.isEnrolled(profile._id);
+
+const isDepartmentHead = (user, { gradeChange, profile }) =>
+  Boolean(gradeChange && profile) && profile.isHeadOfDepartment && gradeChange.department === profile.department;
+
+// Surveys are loaded with their offering populated
+const isSurveyRespondent = (user, { survey, profile }) =>
+  Boolean(survey && survey.offering && profile) && survey.offering.activeStudents().some(id => sameId(id, profile._id));
+
+const isSurveyDepartmentHead = (user, { survey, profile }) =>
+  Boolean(survey && profile) && profile.isHeadOfDepartment && survey.department === profile.department;
+
+const isSurveyStaff = (user, context) =>
+  isSurveyDepartmentHead(user, context) ||
+  (Boolean(context.survey && context.profile) && context.survey.faculty.some(id => sameId(id, context.profile._id)));
+
+const isOwnStudent = (user, { student }) =>
+  Boolean(student) && sameId(student.user, user.id);
+
+const isOwnFacultyProfile = (user, { faculty, profile }) =>
+  Boolean(faculty && profile) && sameId(faculty._id, profile._id);
+
+const isStudentProfile = (user, { profile }) => Boolean(profile);
+
+const isOwnFacultyOrHead = (user, context) =>
+  isOwnFacultyProfile(user, context) ||
+  (Boolean(context.faculty && context.profile) && context.profile.isHeadOfDepartment &&
+    context.faculty.department === context.profile.department);
+
+const isOwnSession = (user, { session }) =>
+  Boolean(session) && sameId(session.user, user.id);
+
+const isNotAdminAccount = (user, { account }) =>
+  Boolean(account) && account.role !== 'admin';
+
+// Policies
+// Every action lists the roles allowed to perform it. A role maps either to
+// `true` (always allowed) or to a resolver that must return true.
+// Actions marked `serviceScope` can be granted to API keys, which act as
+// the 'service' role and may only perform the actions in their scopes.
+const policies = {
+  'admin:create': {
+    msg: 'Not authorized to create admin accounts',
+    roles: { admin: true }
+  },
+  'course:create': {
+    msg: 'Not authorized to create courses',
+    roles: { admin: true, faculty: true }
+  },
+  'course:update': {
+    msg: 'Not authorized to update this course',
+    roles: { admin: true, faculty: isCourseDepartment }
+  },
+  // Code, credits, requisites and the rest of the catalog entry
+  'course:update-catalog': {
+    msg: 'Not authorized to change this course\'s catalog details',
+    roles: { admin: true }
+  },
+  'course:delete': {
+    msg: 'Not authorized to delete courses',
+    roles: { admin: true }
+  },
+  'program:manage': {
+    msg: 'Not authorized to manage degree programs',
+    roles: { admin: true }
+  },
+  'term:manage': {
+    msg: 'Not authorized to manage academic terms',
+    roles: { admin: true }
+  },
+  'grading-scale:manage': {
+    msg: 'Not authorized to manage grading scales',
+    roles: { admin: true }
+  },
+  'offering:create': {
+    msg: 'Not authorized to offer this course',
+    roles: { admin: true, faculty: isCourseDepartment }
+  },
+  'offering:update': {
+    msg: 'Not authorized to update this course offering',
+    roles: { admin: true, faculty: isOfferingFaculty }
+  },
+  'offering:delete': {
+    msg: 'Not authorized to delete course offerings',
+    roles: { admin: true }
+  },
+  'course:enroll-self': {
+    msg: 'Only students can enroll in courses',
+    roles: { student: isStudentProfile }
+  },
+  'waitlist:read': {
+    msg: 'Not authorized to view this waitlist',
+    roles: { admin: true, faculty: isOfferingFaculty }
+  },
+  'schedule:read-clashes': {
+    msg: 'Not authorized to view schedule clashes',
+    roles: { admin: true, faculty: true }
+  },
+  'schedule:override-conflicts': {
+    msg: 'Only admins can accept schedule conflicts',
+    roles: { admin: true }
+  },
+  'timetable:manage': {
+    msg: 'Not authorized to manage timetables',
+    roles: { admin: true }
+  },
+  'calendar:subscribe': {
+    msg: 'Not authorized to subscribe to calendar feeds',
+    roles: { admin: true, faculty: true, student: true }
+  },
+  'grade:write': {
+    msg: 'Not authorized to update grades',
+    roles: { admin: true, faculty: isOfferingFaculty }
+  },
+  'grade-change:request': {
+    msg: 'Only faculty teaching this course can request grade changes',
+    roles: { admin: true, faculty: isOfferingFaculty }
+  },
+  'grade-change:read': {
+    msg: 'Not authorized to view grade change requests',
+    roles: { admin: true, faculty: true }
+  },
+  'grade-change:review': {
+    msg: 'Only the head of department or an admin can review this grade change',
+    roles: { admin: true, faculty: isDepartmentHead }
+  },
+  'grade-change:review-any': {
+    msg: 'Not authorized to review grade changes for every department',
+    roles: { admin: true }
+  },
+  'gradebook:read': {
+    msg: 'Not authorized to view this gradebook',
+    roles: { admin: true, faculty: isOfferingFaculty }
+  },
+  'gradebook:read-self': {
+    msg: 'Only students enrolled in this course can view their marks',
+    roles: { student: isEnrolledStudent }
+  },
+  'survey-template:manage': {
+    msg: 'Not authorized to manage survey templates',
+    roles: { admin: true }
+  },
+  'survey:manage': {
+    msg: 'Not authorized to manage feedback surveys',
+    roles: { admin: true }
+  },
+  'survey:list-own': {
+    msg: 'Only students can answer feedback surveys',
+    roles: { student: isStudentProfile }
+  },
+  'survey:respond': {
+    msg: 'Only students taking this course can answer its survey',
+    roles: { student: isSurveyRespondent }
+  },
+  'survey:read-results': {
+    msg: 'Not authorized to view this survey\'s results',
+    roles: { admin: true, faculty: isSurveyStaff }
+  },
+  'survey:read-all-instructors': {
+    msg: 'Not authorized to view other instructors\' feedback',
+    roles: { admin: true, faculty: isSurveyDepartmentHead }
+  },
+  'survey:read-faculty-results': {
+    msg: 'Not authorized to view this faculty member\'s feedback',
+    roles: { admin: true, faculty: isOwnFacultyOrHead }
+  },
+  'faculty:read': {
+    msg: 'Not authorized to view faculty members',
+    roles: { admin: true, faculty: true, student: true },
+    serviceScope: true
+  },
+  'faculty:create': {
+    msg: 'Not authorized to create faculty members',
+    roles: { admin: true }
+  },
+  'faculty:update': {
+    msg: 'Not authorized to update this faculty member',
+    roles: { admin: true, faculty: isOwnFacultyProfile }
+  },
+  'faculty:appoint': {
+    msg: 'Only admins can change departments or appoint heads of department',
+    roles: { admin: true }
+  },
+  'faculty:delete': {
+    msg: 'Not authorized to delete faculty members',
+    roles: { admin: true }
+  },
+  'faculty:assign-course': {
+    msg: 'Not authorized to assign courses',
+    roles: { admin: true }
+  },
+  'faculty:unassign-course': {
+    msg: 'Not authorized to remove course assignments',
+    roles: { admin: true }
+  },
+  'student:create': {
+    msg: 'Not authorized to create students',
+    roles: { admin: true }
+  },
+  'student:read': {
+    msg: 'Not authorized to view this student',
+    roles: { admin: true, faculty: true },
+    serviceScope: true
+  },
+  'student:read-self': {
+    msg: 'Not authorized to view this student',
+    roles: { student: isOwnStudent }
+  },
+  'student:update': {
+    msg: 'Not authorized to update this student',
+    roles: { admin: true, student: isOwnStudent }
+  },
+  'transcript:issue': {
+    msg: 'Only registrar staff can issue transcripts',
+    roles: { admin: true }
+  },
+  'student:delete': {
+    msg: 'Not authorized to delete students',
+    roles: { admin: true }
+  },
+  'enrollment:create': {
+    msg: 'Not authorized to enroll students in courses',
+    roles: { admin: true, faculty: isOfferingDepartment }
+  },
+  'enrollment:override-requisites': {
+    msg: 'Only admins can enroll students who do not meet the prerequisites',
+    roles: { admin: true }
+  },
+  'enrollment:override-deadlines': {
+    msg: 'Only admins can add or remove students past the term\'s deadlines',
+    roles: { admin: true }
+  },
+  'enrollment:delete': {
+    msg: 'Not authorized to remove students from courses',
+    roles: { admin: true, faculty: isOfferingDepartment }
+  },
+  'session:revoke': {
+    msg: 'Not authorized to revoke this session',
+    roles: { admin: true, faculty: isOwnSession, student: isOwnSession }
+  },
+  'session:manage-any': {
+    msg: 'Not authorized to manage other users\' sessions',
+    roles: { admin: true }
+  },
+  'user:impersonate': {
+    msg: 'Not authorized to impersonate this user',
+    roles: { admin: isNotAdminAccount }
+  },
+  'impersonation:audit': {
+    msg: 'Not authorized to view the impersonation log',
+    roles: { admin: true }
+  },
+  'apikey:manage': {
+    msg: 'Not authorized to manage API keys',
+    roles: { admin: true }
+  },
+  'settings:manage': {
+    msg: 'Not authorized to manage settings',
+    roles: { admin: true }
+  }
+};
+
+// Load the Student or Faculty document that belongs to a user
+const resolveProfile = async (user) => {
+  if (!user) return null;
+
+  if (user.role === 'student') {
+    return Student.findOne({ user: user.id });
+  }
+
+  if (user.role === 'faculty') {
+    const account = await User.findById(user.id).select('profile');
+    return account && account.profile ? Faculty.findById(account.profile) : null;
+  }
+
+  return null;
+};
+
+// Actions that may be granted to API keys
+const serviceScopes = Object.keys(policies).filter(action => policies[action].serviceScope);
+
+const getPolicy = (action) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+  return policy;
+};
+
+// Check whether a user may perform an action given the loaded resources.
+// When several actions are passed, any one of them is enough.
+const can = (user, actions, context = {}) => {
+  return [].concat(actions).some(action => {
+    const policy = getPolicy(action);
+
+    if (user && user.role === 'service') {
+      return Boolean(policy.serviceScope) && user.scopes.includes(action);
+    }
+
+    if (!user || !Object.prototype.hasOwnProperty.call(policy.roles, user.role)) {
+      return false;
+    }
+
+    const rule = policy.roles[user.role];
+    return rule === true || Boolean(rule(user, context));
+  });
+};
+
+module.exports = {
+  policies,
+  serviceScopes,
+  getPolicy,
+  can,
+  resolveProfile
+};
@@ -0,0 +1,178 @@
+// server/utils/provisioning.js
+// Create Student/Faculty profiles together with their linked User account.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const sendEmail = require('./sendEmail');
+
+const INVITATION_EXPIRY = 7 * 24 * 3600000; // 7 days
+
+// Save a profile and its account in one transaction. The ids are generated
+// up front because each document references the other.
+const provision = async (Model, profileData, accountData) => {
+  const profileId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  const user = new User({
+    ...accountData,
+    _id: userId,
+    profile: profileId,
+    // Unusable until the invitee sets their own password
+    password: crypto.randomBytes(32).toString('hex')
+  });
+  user.$locals.skipPasswordPolicy = true;
+  const inviteToken = user.generatePasswordResetToken(INVITATION_EXPIRY);
+
+  const profile = new Model({
+    ...profileData,
+    _id: profileId
+  });
+  if (Model === Student) profile.user = userId;
+
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(async () => {
+      await profile.save({ session: dbSession });
+      await user.save({ session: dbSession });
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  return { profile, user, inviteToken };
+};
+
+// Create a student and their User account
+const provisionStudent = (data) => {
+  const { user, ...profileData } = data; // never trust a client supplied link
+  return provision(Student, profileData, {
+    username: data.rollNumber,
+    email: data.contactInfo.email,
+    role: 'student'
+  });
+};
+
+// Create a faculty member and their User account
+const provisionFaculty = (data) => provision(Faculty, data, {
+  username: data.employeeId,
+  email: data.email,
+  role: 'faculty'
+});
+
+// Create an admin account, which has no profile
+const provisionAdmin = async ({ username, email }) => {
+  const user = new User({
+    username,
+    email,
+    role: 'admin',
+    // Unusable until the invitee sets their own password
+    password: crypto.randomBytes(32).toString('hex')
+  });
+  user.$locals.skipPasswordPolicy = true;
+  const inviteToken = user.generatePasswordResetToken(INVITATION_EXPIRY);
+  await user.save();
+
+  return { user, inviteToken };
+};
+
+// Email the invitee a link to choose their password
+const sendInvitation = (user, inviteToken, req) => {
+  const setPasswordUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${inviteToken}`;
+  const message = `An account has been created for you with username ${user.username}. ` +
+    `To choose your password, please make a PUT request within 7 days to: \n\n ${setPasswordUrl}`;
+
+  return sendEmail({
+    email: user.email,
+    subject: 'Your account invitation',
+    message
+  });
+};
+
+// Pick a free username for an SSO user, preferring the IdP's suggestion
+const availableUsername = async (preferred) => {
+  const base = String(preferred).replace(/[^\w.-]/g, '').slice(0, 24).padEnd(3, '0');
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return username;
+};
+
+// Find the User for an SSO identity: by linked subject, then by verified
+// email (linking it), then by creating one when the mapped role allows it.
+// Only an email the IdP explicitly marks verified is trusted, and an email
+// match never links an admin or an account already linked to another
+// identity. Students and faculty are only created when a matching profile
+// exists. Resolves to null when nobody can be matched.
+const provisionFromIdentity = async (claims, { issuer, role, autoProvision }) => {
+  const oidc = { issuer, subject: claims.sub };
+
+  let user = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': claims.sub });
+  if (user) return user;
+
+  const email = claims.email && claims.email_verified === true
+    ? claims.email.toLowerCase()
+    : null;
+  if (!email) return null;
+
+  user = await User.findOne({ email });
+  if (user) {
+    if (user.role === 'admin' || (user.oidc && user.oidc.subject)) return null;
+    user.oidc = oidc;
+    await user.save();
+    return user;
+  }
+
+  if (!autoProvision || !role) return null;
+
+  let profile = null;
+  let username = claims.preferred_username || email.split('@')[0];
+  if (role === 'student') {
+    profile = await Student.findOne({ 'contactInfo.email': email });
+    if (profile) username = profile.rollNumber;
+  } else if (role === 'faculty') {
+    profile = await Faculty.findOne({ email });
+    if (profile) username = profile.employeeId;
+  }
+  if (role !== 'admin' && !profile) return null;
+
+  user = new User({
+    username: await availableUsername(username),
+    email,
+    role,
+    profile: profile ? profile._id : undefined,
+    oidc,
+    isVerified: true,
+    // SSO users never sign in with this; they can set one via forgot password
+    password: crypto.randomBytes(32).toString('hex')
+  });
+  user.$locals.skipPasswordPolicy = true;
+  await user.save();
+
+  if (role === 'student') {
+    profile.user = user._id;
+    await profile.save();
+  }
+
+  return user;
+};
+
+// Delete the User account linked to a profile, ending its sessions
+const removeAccount = async (profile) => {
+  const user = await User.findOne({ profile: profile._id });
+  if (!user) return;
+
+  await user.revokeAllTokens();
+  await user.deleteOne();
+};
+
+module.exports = {
+  provisionStudent,
+  provisionFaculty,
+  provisionAdmin,
+  sendInvitation,
+  provisionFromIdentity,
+  removeAccount
+};
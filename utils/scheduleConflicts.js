@@ -0,0 +1,162 @@
+// server/utils/scheduleConflicts.js
+// Detect overlapping meeting times between active offerings in the same
+// term that share a room, a faculty member or an enrolled student.
+const Course = require('../models/Course');
+const Offering = require('../models/Offering');
+const { can } = require('./permissions');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const hasSchedule = (schedule) =>
+  Boolean(schedule && schedule.days && schedule.days.length && schedule.startTime && schedule.endTime);
+
+// Two schedules clash when they share a day and their time ranges intersect.
+// Back-to-back slots (one ends as the other starts) don't clash.
+const schedulesOverlap = (a, b) =>
+  hasSchedule(a) && hasSchedule(b) &&
+  a.days.some(day => b.days.includes(day)) &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+// Populated references carry their id on _id
+const refId = ref => (ref && ref._id) || ref;
+
+// Offerings are queried with their catalog course populated
+const summarize = (offering) => ({
+  _id: offering._id,
+  courseCode: offering.course.courseCode,
+  courseName: offering.course.courseName,
+  section: offering.section,
+  schedule: offering.schedule
+});
+
+const OFFERING_FIELDS = 'course section schedule faculty enrolledStudents.student enrolledStudents.grade';
+
+const sharedIds = (ids, others) =>
+  ids.filter(id => others.some(other => other.equals(id)));
+
+// Other active offerings in the same term meeting at the same time as
+// `offering`, narrowed by `filter`
+const overlappingOfferings = async (offering, filter) => {
+  if (offering.status !== 'active' || !hasSchedule(offering.schedule)) return [];
+
+  const candidates = await Offering.find({
+    ...filter,
+    _id: { $ne: offering._id },
+    term: refId(offering.term),
+    status: 'active',
+    'schedule.days': { $in: offering.schedule.days }
+  }).select(OFFERING_FIELDS).populate('course', 'courseCode courseName');
+
+  return candidates.filter(other => schedulesOverlap(offering.schedule, other.schedule));
+};
+
+const findRoomConflicts = async (offering) => {
+  if (!offering.schedule || !offering.schedule.room) return [];
+
+  const others = await overlappingOfferings(offering, { 'schedule.room': offering.schedule.room });
+  return others.map(other => ({
+    type: 'room',
+    room: offering.schedule.room,
+    offering: summarize(other)
+  }));
+};
+
+// Faculty defaults to those assigned to the offering
+const findFacultyConflicts = async (offering, facultyIds = offering.faculty) => {
+  if (!facultyIds.length) return [];
+
+  const others = await overlappingOfferings(offering, { faculty: { $in: facultyIds } });
+  return others.flatMap(other => sharedIds(facultyIds, other.faculty).map(faculty => ({
+    type: 'faculty',
+    faculty,
+    offering: summarize(other)
+  })));
+};
+
+// Students default to those taking the offering. Students who withdrew
+// from a course no longer attend it.
+const findStudentConflicts = async (offering, studentIds = offering.activeStudents()) => {
+  if (!studentIds.length) return [];
+
+  const others = await overlappingOfferings(offering, {
+    enrolledStudents: { $elemMatch: { student: { $in: studentIds }, grade: { $ne: 'W' } } }
+  });
+  return others.flatMap(other => sharedIds(studentIds, other.activeStudents()).map(student => ({
+    type: 'student',
+    student,
+    offering: summarize(other)
+  })));
+};
+
+// Everything `offering` would clash with if saved as it is
+const findOfferingConflicts = async (offering) => [
+  ...await findRoomConflicts(offering),
+  ...await findFacultyConflicts(offering),
+  ...await findStudentConflicts(offering)
+];
+
+// Every clash between a term's active offerings, optionally only those of
+// courses in a department and/or semester. One entry per pair of
+// offerings and kind of clash.
+const findAllClashes = async ({ term, department, semester }) => {
+  const filter = { term, status: 'active' };
+  if (department || semester) {
+    const catalog = {};
+    if (department) catalog.department = department;
+    if (semester) catalog.semester = semester;
+    filter.course = { $in: await Course.find(catalog).distinct('_id') };
+  }
+
+  const offerings = await Offering.find(filter)
+    .select(OFFERING_FIELDS)
+    .populate('course', 'courseCode courseName');
+  offerings.sort((a, b) =>
+    a.course.courseCode.localeCompare(b.course.courseCode) || a.section.localeCompare(b.section));
+
+  const clashes = [];
+  offerings.forEach((a, i) => {
+    offerings.slice(i + 1)
+      .filter(b => schedulesOverlap(a.schedule, b.schedule))
+      .forEach(b => {
+        const pair = [summarize(a), summarize(b)];
+
+        if (a.schedule.room && a.schedule.room === b.schedule.room) {
+          clashes.push({ type: 'room', room: a.schedule.room, offerings: pair });
+        }
+
+        sharedIds(a.faculty, b.faculty).forEach(faculty => {
+          clashes.push({ type: 'faculty', faculty, offerings: pair });
+        });
+
+        const students = sharedIds(a.activeStudents(), b.activeStudents());
+        if (students.length > 0) {
+          clashes.push({ type: 'student', students, offerings: pair });
+        }
+      });
+  });
+  return clashes;
+};
+
+// Admins may push a change through despite conflicts by sending
+// `allowConflicts: true`; everyone else is rejected
+const conflictsAllowed = (req) =>
+  req.body.allowConflicts === true && can(req.user, 'schedule:override-conflicts');
+
+// Attach accepted conflicts to a response body as warnings
+const withConflictWarnings = (doc, conflicts) =>
+  conflicts.length > 0 ? { ...doc.toJSON(), warnings: conflicts } : doc;
+
+module.exports = {
+  schedulesOverlap,
+  findRoomConflicts,
+  findFacultyConflicts,
+  findStudentConflicts,
+  findOfferingConflicts,
+  findAllClashes,
+  conflictsAllowed,
+  withConflictWarnings
+};
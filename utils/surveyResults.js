@@ -0,0 +1,76 @@
+// server/utils/surveyResults.js
+// Aggregate feedback survey responses: rating distributions and averages,
+// option counts and comments, for the course and for each instructor.
+const SurveyResponse = require('../models/SurveyResponse');
+const { LIKERT_POINTS } = require('../models/SurveyTemplate');
+
+// Populated references carry their id on _id
+const refId = ref => (ref && ref._id) || ref;
+
+const describeFaculty = faculty => (faculty && faculty.firstName
+  ? { _id: faculty._id, name: `${faculty.firstName} ${faculty.lastName}` }
+  : { _id: faculty });
+
+// Summarize the answers given to one question
+const summarizeQuestion = (question, answers) => {
+  const summary = {
+    question: question._id,
+    prompt: question.prompt,
+    type: question.type,
+    answered: answers.length
+  };
+
+  if (question.type === 'likert') {
+    const ratings = answers.map(answer => answer.rating);
+    summary.distribution = Array.from({ length: LIKERT_POINTS }, (_, i) =>
+      ratings.filter(rating => rating === i + 1).length);
+    summary.average = ratings.length > 0
+      ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 100) / 100
+      : null;
+  } else if (question.type === 'multiple-choice') {
+    summary.options = question.options.map(option => ({
+      option,
+      count: answers.filter(answer => answer.choice === option).length
+    }));
+  } else {
+    // Sorted so comments don't come back in the order they were given
+    summary.comments = answers.map(answer => answer.text).filter(Boolean).sort();
+  }
+
+  return summary;
+};
+
+// Aggregate a survey's responses. Pass `faculty` (an id) to include only
+// that instructor's results.
+const surveyResults = (survey, responses, { faculty } = {}) => {
+  const answersTo = (question, instructor) => responses.flatMap(response =>
+    response.answers.filter(answer => question._id.equals(answer.question) &&
+      (instructor ? instructor.equals(answer.faculty) : !answer.faculty)));
+
+  const courseQuestions = survey.questions.filter(question => question.target === 'course');
+  const instructorQuestions = survey.questions.filter(question => question.target === 'instructor');
+
+  const instructors = instructorQuestions.length === 0 ? [] : survey.faculty
+    .filter(member => !faculty || refId(member).equals(faculty))
+    .map(member => ({
+      faculty: describeFaculty(member),
+      questions: instructorQuestions.map(question => summarizeQuestion(question, answersTo(question, refId(member))))
+    }));
+
+  return {
+    responseCount: survey.responseCount,
+    course: courseQuestions.map(question => summarizeQuestion(question, answersTo(question))),
+    instructors
+  };
+};
+
+// Load a survey's responses and aggregate them
+const getSurveyResults = async (survey, options) => {
+  const responses = await SurveyResponse.find({ survey: survey._id }).sort({ _id: 1 });
+  return surveyResults(survey, responses, options);
+};
+
+module.exports = {
+  surveyResults,
+  getSurveyResults
+};
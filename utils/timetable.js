@@ -0,0 +1,319 @@
+// server/utils/timetable.js
+// Timetable generator for a department semester's offerings in a term.
+// Each offering meets `credits` times a week in one time slot and room.
+// Hard constraints decide where an offering may go at all; soft
+// constraints only add to a placement's penalty, and the search keeps the
+// cheapest timetable found.
+//
+// Hard: room big enough, room and faculty not already booked by offerings
+// outside the proposal, faculty not unavailable, and no two courses of
+// the semester meeting at the same time (students take them together).
+// Sections of the same course may run in parallel if they don't share a
+// room or instructor.
+// Soft: faculty office hours, meetings on consecutive days, empty seats.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Offering = require('../models/Offering');
+const Faculty = require('../models/Faculty');
+const TimetableProposal = require('../models/TimetableProposal');
+const { schedulesOverlap } = require('./scheduleConflicts');
+
+const DEFAULT_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// Branch and bound gives up improving on the best timetable after this many steps
+const SEARCH_LIMIT = 50000;
+
+const PENALTIES = {
+  officeHours: 5, // per meeting clashing with the instructor's office hours
+  consecutiveDays: 2, // per pair of meetings on back-to-back days
+  emptySeats: 1, // scaled by the share of the room left empty
+  unscheduled: 1000 // per offering left out of the timetable
+};
+
+// All ways of choosing `size` days, in week order
+const dayCombinations = (days, size) => {
+  if (size === 0) return [[]];
+  if (days.length < size) return [];
+  const [first, ...rest] = days;
+  return [
+    ...dayCombinations(rest, size - 1).map(combo => [first, ...combo]),
+    ...dayCombinations(rest, size)
+  ];
+};
+
+const timesOverlap = (schedule, { day, startTime, endTime }) =>
+  schedulesOverlap(schedule, { days: [day], startTime, endTime });
+
+// Every placement of an offering that satisfies the hard constraints not
+// involving other offerings in the proposal, cheapest first. The
+// offering's catalog course must be populated.
+const candidatePlacements = (offering, { days, slots, rooms, instructors, bookings }) => {
+  const meetings = Math.min(offering.course.credits, days.length);
+  const dayPatterns = dayCombinations(days, meetings);
+  const placements = [];
+
+  for (const room of rooms) {
+    if (room.capacity && room.capacity < offering.capacity) continue;
+
+    for (const slot of slots) {
+      for (const pattern of dayPatterns) {
+        const schedule = {
+          days: pattern,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          room: room.name
+        };
+
+        const clashesWithBooking = bookings.some(booking =>
+          schedulesOverlap(schedule, booking.schedule) && (
+            booking.schedule.room === room.name ||
+            booking.faculty.some(id => offering.faculty.some(own => own.equals(id)))
+          ));
+        const instructorUnavailable = instructors.some(faculty =>
+          faculty.unavailability.some(period => timesOverlap(schedule, period)));
+        if (clashesWithBooking || instructorUnavailable) continue;
+
+        const notes = [];
+        let penalty = 0;
+
+        instructors.forEach(faculty => {
+          faculty.officeHours
+            .filter(period => period.startTime && period.endTime && timesOverlap(schedule, period))
+            .forEach(period => {
+              penalty += PENALTIES.officeHours;
+              notes.push(`Overlaps ${faculty.fullName}'s office hours on ${period.day}`);
+            });
+        });
+
+        const backToBack = pattern
+          .filter((day, i) => i > 0 && days.indexOf(day) - days.indexOf(pattern[i - 1]) === 1)
+          .map(day => `${days[days.indexOf(day) - 1]}-${day}`);
+        if (backToBack.length > 0) {
+          penalty += backToBack.length * PENALTIES.consecutiveDays;
+          notes.push(`Meets on back-to-back days: ${backToBack.join(', ')}`);
+        }
+
+        if (room.capacity) {
+          penalty += PENALTIES.emptySeats * (room.capacity - offering.capacity) / room.capacity;
+        }
+
+        placements.push({ schedule, penalty, notes });
+      }
+    }
+  }
+
+  return placements.sort((a, b) => a.penalty - b.penalty);
+};
+
+// Whether two placed offerings can't both stand
+const placementsClash = (a, b) => {
+  if (!schedulesOverlap(a.placement.schedule, b.placement.schedule)) return false;
+  if (!a.offering.course.equals(b.offering.course)) return true;
+  return a.placement.schedule.room === b.placement.schedule.room ||
+    a.offering.faculty.some(id => b.offering.faculty.some(other => other.equals(id)));
+};
+
+// Depth-first branch and bound over the offerings, hardest to place first.
+// Leaving one out is always allowed at a large penalty, so the first path
+// explored is a greedy timetable and the search only improves on it.
+const solve = (offerings, placementsByOffering) => {
+  const order = [...offerings].sort((a, b) =>
+    placementsByOffering.get(a.id).length - placementsByOffering.get(b.id).length);
+
+  const chosen = [];
+  let best = null;
+  let steps = 0;
+
+  const search = (index, cost) => {
+    if (steps++ > SEARCH_LIMIT) return;
+    if (best && cost >= best.cost) return;
+
+    if (index === order.length) {
+      best = { cost, chosen: [...chosen] };
+      return;
+    }
+
+    const offering = order[index];
+    for (const placement of placementsByOffering.get(offering.id)) {
+      const clashes = chosen.some(other =>
+        other.placement && placementsClash(other, { offering, placement }));
+      if (clashes) continue;
+
+      chosen.push({ offering, placement });
+      search(index + 1, cost + placement.penalty);
+      chosen.pop();
+    }
+
+    chosen.push({ offering, placement: null });
+    search(index + 1, cost + PENALTIES.unscheduled);
+    chosen.pop();
+  };
+
+  search(0, 0);
+  return best.chosen;
+};
+
+// Hash of what the solver used from the offerings it placed: schedule,
+// instructors, status and capacity. Enrollments, marks and grades can
+// change without making a proposal stale.
+const solverFingerprint = (offerings) => {
+  const inputs = offerings
+    .map(offering => ({
+      _id: offering._id.toString(),
+      status: offering.status,
+      capacity: offering.capacity,
+      faculty: offering.faculty.map(id => id.toString()).sort(),
+      schedule: {
+        days: offering.schedule ? [...offering.schedule.days] : [],
+        startTime: offering.schedule && offering.schedule.startTime,
+        endTime: offering.schedule && offering.schedule.endTime,
+        room: offering.schedule && offering.schedule.room
+      }
+    }))
+    .sort((a, b) => a._id.localeCompare(b._id));
+
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+};
+
+// Offerings a proposal covers, placed or not
+const proposalOfferingIds = proposal => [
+  ...proposal.assignments.map(assignment => assignment.offering),
+  ...proposal.unscheduled.map(entry => entry.offering)
+];
+
+// Whether any offering in the proposal has changed, or been removed, in a
+// way the solver would have cared about since the proposal was generated
+const isProposalStale = async (proposal) => {
+  const ids = proposalOfferingIds(proposal);
+  const offerings = await Offering.find({ _id: { $in: ids } }).select('status capacity faculty schedule');
+  return offerings.length !== ids.length || solverFingerprint(offerings) !== proposal.fingerprint;
+};
+
+// Room and instructor clashes between a proposal's placements and the
+// term's offerings outside it, as they stand now
+const findBookingClashes = async (proposal) => {
+  const ids = proposalOfferingIds(proposal);
+  const [offerings, bookings] = await Promise.all([
+    Offering.find({ _id: { $in: ids } }).select('faculty'),
+    Offering.find({ term: proposal.term, _id: { $nin: ids }, status: 'active' })
+      .select('course section schedule faculty')
+      .populate('course', 'courseCode courseName')
+  ]);
+
+  return proposal.assignments.flatMap(({ offering: offeringId, schedule }) => {
+    const offering = offerings.find(candidate => candidate._id.equals(offeringId));
+    return bookings
+      .filter(booking => schedulesOverlap(schedule, booking.schedule))
+      .flatMap(booking => [
+        ...(booking.schedule.room === schedule.room ? [{ type: 'room', room: schedule.room }] : []),
+        ...booking.faculty
+          .filter(id => offering.faculty.some(own => own.equals(id)))
+          .map(faculty => ({ type: 'faculty', faculty }))
+      ].map(clash => ({
+        ...clash,
+        offering: offeringId,
+        with: {
+          _id: booking._id,
+          courseCode: booking.course.courseCode,
+          courseName: booking.course.courseName,
+          section: booking.section,
+          schedule: booking.schedule
+        }
+      })));
+  });
+};
+
+// Generate and save a draft timetable proposal for a department semester's
+// offerings in a term
+const generateTimetable = async ({ term, department, semester, rooms, slots, days = DEFAULT_DAYS, createdBy }) => {
+  const courseIds = await Course.find({ department, semester, status: 'active' }).distinct('_id');
+  const offerings = await Offering.find({ term, course: { $in: courseIds }, status: 'active' })
+    .populate('course', 'courseCode credits');
+  const offeringIds = offerings.map(offering => offering._id);
+
+  // Offerings outside the proposal keep their rooms and instructors' time
+  const bookings = await Offering.find({ term, _id: { $nin: offeringIds }, status: 'active' })
+    .select('schedule faculty');
+
+  const facultyIds = offerings.flatMap(offering => offering.faculty);
+  const faculty = await Faculty.find({ _id: { $in: facultyIds } })
+    .select('firstName lastName officeHours unavailability');
+
+  const placementsByOffering = new Map(offerings.map(offering => [
+    offering.id,
+    candidatePlacements(offering, {
+      days,
+      slots,
+      rooms,
+      bookings,
+      instructors: faculty.filter(member => offering.faculty.some(id => id.equals(member._id)))
+    })
+  ]));
+
+  const assignments = [];
+  const unscheduled = [];
+  let totalPenalty = 0;
+
+  for (const { offering, placement } of solve(offerings, placementsByOffering)) {
+    if (placement) {
+      assignments.push({ offering: offering._id, ...placement });
+      totalPenalty += placement.penalty;
+    } else {
+      unscheduled.push({
+        offering: offering._id,
+        reason: placementsByOffering.get(offering.id).length === 0
+          ? 'No room, slot and day combination satisfies the hard constraints'
+          : 'Could not be placed without clashing with other courses this semester'
+      });
+    }
+  }
+
+  return TimetableProposal.create({
+    term,
+    department,
+    semester,
+    days,
+    rooms,
+    slots,
+    assignments,
+    unscheduled,
+    totalPenalty: Math.round(totalPenalty * 100) / 100,
+    fingerprint: solverFingerprint(offerings),
+    createdBy
+  });
+};
+
+// Write every assignment in a draft proposal to its offering in one transaction
+const applyTimetable = async (proposal, appliedBy) => {
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(async () => {
+      await Offering.bulkWrite(proposal.assignments.map(assignment => ({
+        updateOne: {
+          filter: { _id: assignment.offering },
+          update: { $set: { schedule: assignment.schedule } }
+        }
+      })), { session: dbSession });
+
+      proposal.status = 'applied';
+      proposal.appliedBy = appliedBy;
+      proposal.appliedAt = Date.now();
+      await proposal.save({ session: dbSession });
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+  return proposal;
+};
+
+module.exports = {
+  DEFAULT_DAYS,
+  PENALTIES,
+  candidatePlacements,
+  solve,
+  generateTimetable,
+  isProposalStale,
+  findBookingClashes,
+  applyTimetable
+};
@@ -0,0 +1,108 @@
+// server/utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+
+const MFA_TOKEN_TYPE = 'mfa-pending';
+
+// Device details recorded against a session
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Start a session for a user and issue its access + refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, clientInfo(req));
+  await user.updateOne({ $set: { lastLogin: Date.now() } });
+
+  return {
+    token: user.generateAuthToken(session),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair, rotating the refresh token.
+// Resolves to null when the refresh token is unknown, expired or revoked.
+const rotateTokens = async (refreshToken, req) => {
+  const session = await Session.findByRefreshToken(refreshToken);
+  if (!session) return null;
+
+  const user = await User.findById(session.user);
+  if (!user) return null;
+
+  return {
+    refreshToken: await session.rotate(clientInfo(req)),
+    token: user.generateAuthToken(session)
+  };
+};
+
+// Time-limited token letting an admin see the app as another user. It
+// carries both identities and is bound to the admin's current session.
+// There is no refresh token: the admin simply starts again once it expires.
+const issueImpersonationToken = (target, req) => jwt.sign(
+  {
+    user: {
+      id: target.id,
+      role: target.role
+    },
+    impersonator: {
+      id: req.user.id,
+      role: req.user.role
+    },
+    sid: req.token.sid
+  },
+  process.env.JWT_SECRET,
+  {
+    expiresIn: process.env.IMPERSONATION_EXPIRE || '15m',
+    jwtid: crypto.randomBytes(16).toString('hex')
+  }
+);
+
+// Roles an admin has made two-factor authentication mandatory for
+const getMfaRequiredRoles = () => Setting.getValue('mfa.requiredRoles', []);
+
+// Short-lived token proving the password step passed; it carries no `user`
+// claim so middleware/auth.js will never accept it as an access token
+const issueMfaToken = (user) => jwt.sign(
+  { mfa: { id: user.id }, typ: MFA_TOKEN_TYPE },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.MFA_TOKEN_EXPIRE || '5m' }
+);
+
+// Resolve an "mfa pending" token to the user id it was issued for
+const verifyMfaToken = (mfaToken) => {
+  const decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  if (decoded.typ !== MFA_TOKEN_TYPE) {
+    throw new Error('Not an MFA token');
+  }
+  return decoded.mfa.id;
+};
+
+// Finish a successful password check: issue tokens, or ask for the
+// second factor when the user has two-factor authentication enabled
+const completeLogin = async (user, req) => {
+  if (user.mfa && user.mfa.enabled) {
+    return { mfaRequired: true, mfaToken: issueMfaToken(user) };
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  const requiredRoles = await getMfaRequiredRoles();
+  if (requiredRoles.includes(user.role)) {
+    tokens.mfaSetupRequired = true;
+  }
+
+  return tokens;
+};
+
+module.exports = {
+  issueTokens,
+  rotateTokens,
+  completeLogin,
+  issueImpersonationToken,
+  verifyMfaToken,
+  getMfaRequiredRoles
+};
@@ -0,0 +1,163 @@
+// server/utils/transcript.js
+// Official transcripts: the student's results by term, built from their
+// academic summary, in JSON form and as a PDF. Only terms with published
+// results belong on one; grades that aren't final yet, such as I
+// (incomplete), are marked provisional.
+const { PAGE_HEIGHT, textWidth, renderPdf } = require('./pdf');
+
+const INSTITUTION_NAME = process.env.INSTITUTION_NAME || 'KLUERP';
+// Where the API is publicly reachable, for the verification link printed
+// on transcripts. Never taken from the request: its Host header is the
+// client's to choose.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+const MARGIN = 50;
+const RIGHT_EDGE = 545;
+const LINE_HEIGHT = 14;
+const FOOTER_SPACE = 70;
+
+// Left edges of the course table's columns
+const COLUMNS = { code: MARGIN, name: 130, credits: 400, grade: 470 };
+const NAME_WIDTH = COLUMNS.credits - COLUMNS.name - 10;
+
+const formatGpa = value => (value === null ? '-' : value.toFixed(2));
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+const PROVISIONAL_NOTE = '* Provisional grade: not final and not counted in the SGPA or CGPA';
+
+// Cut text to fit a width, marking the cut with '...'
+const fitText = (text, width, size) => {
+  if (textWidth(text, size) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+// Build verification links from transcript codes. Throws if no public base
+// URL is configured, so call it before recording a transcript as issued.
+const verificationLinks = () => {
+  if (!PUBLIC_BASE_URL) {
+    throw new Error('PUBLIC_BASE_URL must be set to issue transcripts');
+  }
+  return code => `${PUBLIC_BASE_URL}/api/transcripts/verify/${code}`;
+};
+
+// The transcript's content from a student and their academic summary
+const transcriptContent = (student, summary) => ({
+  student: {
+    name: `${student.name.firstName} ${student.name.lastName}`,
+    rollNumber: student.rollNumber,
+    branch: student.academic.branch,
+    batch: student.academic.batch
+  },
+  terms: summary.terms.map(({ term, sgpa, credits, courses }) => ({
+    term: { code: term.code, name: term.name, academicYear: term.academicYear },
+    sgpa,
+    credits,
+    courses: courses.map(({ course, credits: courseCredits, grade, status }) => ({
+      courseCode: course.courseCode,
+      courseName: course.courseName,
+      credits: courseCredits,
+      grade,
+      provisional: status === 'in-progress'
+    }))
+  })),
+  cgpa: summary.cgpa,
+  creditsEarned: summary.creditsEarned,
+  standing: summary.standing
+});
+
+// Lay the transcript out over as many pages as it needs
+const transcriptPdf = (content, { code, issuedAt, verifyUrl }) => {
+  const pages = [];
+  let items;
+  let y;
+
+  const newPage = () => {
+    items = [];
+    pages.push(items);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const text = (value, x, options = {}) => items.push({ text: value, x, y, ...options });
+  const rule = () => items.push({ line: [MARGIN, y + 4, RIGHT_EDGE, y + 4] });
+  const advance = (lines = 1) => { y -= LINE_HEIGHT * lines; };
+  // Start a new page if the next `lines` lines won't fit above the footer
+  const ensureSpace = (lines) => {
+    if (y - LINE_HEIGHT * lines < FOOTER_SPACE) newPage();
+  };
+
+  newPage();
+  text(INSTITUTION_NAME, MARGIN, { size: 16, bold: true });
+  advance(1.5);
+  text('Official Transcript', MARGIN, { size: 13, bold: true });
+  advance(2);
+
+  const { student } = content;
+  [
+    ['Name', student.name],
+    ['Roll number', student.rollNumber],
+    ['Branch', student.branch],
+    ['Batch', student.batch],
+    ['Issued on', formatDate(issuedAt)],
+    ['Verification code', code]
+  ].forEach(([label, value]) => {
+    text(`${label}:`, MARGIN, { bold: true });
+    text(value, 160);
+    advance();
+  });
+  advance();
+
+  content.terms.forEach(({ term, sgpa, credits, courses }) => {
+    ensureSpace(courses.length + 4);
+    text(`${term.name} (${term.code})${term.academicYear ? `, ${term.academicYear}` : ''}`, MARGIN, { size: 11, bold: true });
+    advance();
+    text('Code', COLUMNS.code, { bold: true });
+    text('Course', COLUMNS.name, { bold: true });
+    text('Credits', COLUMNS.credits, { bold: true });
+    text('Grade', COLUMNS.grade, { bold: true });
+    advance();
+    rule();
+
+    courses.forEach(course => {
+      ensureSpace(1);
+      text(course.courseCode, COLUMNS.code);
+      text(fitText(course.courseName, NAME_WIDTH, 10), COLUMNS.name);
+      text(course.credits, COLUMNS.credits);
+      text(course.provisional ? `${course.grade} *` : course.grade, COLUMNS.grade);
+      advance();
+    });
+
+    rule();
+    text(`SGPA: ${formatGpa(sgpa)}    Credits graded: ${credits}`, MARGIN, { bold: true });
+    advance(2);
+  });
+
+  ensureSpace(6);
+  rule();
+  advance(0.5);
+  text(`CGPA: ${formatGpa(content.cgpa)}`, MARGIN, { size: 11, bold: true });
+  advance();
+  text(`Credits earned: ${content.creditsEarned}`, MARGIN);
+  advance();
+  text(`Standing: ${content.standing}`, MARGIN);
+  if (content.terms.some(term => term.courses.some(course => course.provisional))) {
+    advance(1.5);
+    text(PROVISIONAL_NOTE, MARGIN, { size: 8 });
+  }
+
+  pages.forEach((page, i) => {
+    page.push({ text: `Verify this transcript at ${verifyUrl}`, x: MARGIN, y: 40, size: 8 });
+    page.push({ text: `Page ${i + 1} of ${pages.length}`, x: RIGHT_EDGE - 50, y: 40, size: 8 });
+  });
+
+  return renderPdf(pages, { title: `Transcript - ${student.name} (${student.rollNumber})` });
+};
+
+module.exports = {
+  verificationLinks,
+  transcriptContent,
+  transcriptPdf
+};
@@ -0,0 +1,60 @@
+// server/utils/waitlist.js
+const Offering = require('../models/Offering');
+const Student = require('../models/Student');
+const Term = require('../models/Term');
+const sendEmail = require('./sendEmail');
+
+// Tell a student a seat is being held for them
+const notifyOffer = async (offering, entry) => {
+  const student = await Student.findById(entry.student);
+  if (!student) return;
+
+  const { course } = offering;
+  const message = `A seat has opened up in ${course.courseCode} - ${course.courseName} (section ${offering.section}) ` +
+    `and is being held for you until ${entry.offerExpiresAt.toUTCString()}. Claim it before then or it will be ` +
+    'offered to the next student on the waitlist.';
+
+  await sendEmail({
+    email: student.contactInfo.email,
+    subject: `Seat available in ${course.courseCode}`,
+    message
+  });
+};
+
+// Offer any free seats to the front of the waitlist, save, and email the
+// students who were promoted. Email failures are logged, not thrown.
+// Lapsed offers are always dropped, but no new seats are offered once the
+// term's add deadline has passed.
+const promoteAndNotify = async (offering) => {
+  const term = await Term.findById(offering.term);
+  offering.dropExpiredOffers();
+  const offered = !term || term.isAddOpen() ? offering.promoteFromWaitlist() : [];
+  await offering.save();
+
+  if (offered.length > 0 && !offering.populated('course')) {
+    await offering.populate('course', 'courseCode courseName');
+  }
+
+  for (const entry of offered) {
+    try {
+      await notifyOffer(offering, entry);
+    } catch (err) {
+      console.error(err.message);
+    }
+  }
+  return offered;
+};
+
+// Pass lapsed offers on to the next students; run periodically from server.js
+const processExpiredOffers = async () => {
+  const offerings = await Offering.find({ 'waitlist.offerExpiresAt': { $lte: Date.now() } })
+    .populate('course', 'courseCode courseName');
+  for (const offering of offerings) {
+    await promoteAndNotify(offering);
+  }
+};
+
+module.exports = {
+  promoteAndNotify,
+  processExpiredOffers
+};